@@ -0,0 +1,112 @@
+// 対戦結果のエクスポート
+
+const CSV_COLUMNS = [
+    'songNumber', 'songId', 'title', 'difficulty', 'level', 'chartId', 'chartMismatch',
+    'songStartedAt', 'songFinishedAt', 'rank', 'userId', 'username', 'team',
+    'normalScore', 'exScore', 'score', 'awardedPoints', 'submittedAt', 'finishedAt'
+];
+
+function toIsoString(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+// 1曲分の結果を出力用の形式にする
+function buildSongResult(song, number) {
+    const teams = new Map();
+    (song.teamRankings || []).forEach(team => {
+        team.members.forEach(userId => teams.set(userId, team.team));
+    });
+
+    return {
+        number: number,
+        songId: song.id,
+        metadata: song.metadata || null,
+        chartMismatch: !!song.chartMismatch,
+        startedAt: toIsoString(song.startedAt),
+        finishedAt: toIsoString(song.finishedAt),
+        rankings: (song.rankings || []).map(ranking => ({
+            rank: ranking.rank,
+            userId: ranking.userId,
+            username: ranking.username,
+            team: teams.get(ranking.userId) || null,
+            normalScore: ranking.normal,
+            exScore: ranking.ex,
+            score: ranking.score,
+            awardedPoints: ranking.awardedPoints || 0,
+            submittedAt: toIsoString(ranking.submittedAt),
+            finishedAt: toIsoString(ranking.finishedAt)
+        })),
+        teamRankings: song.teamRankings || null
+    };
+}
+
+// 部屋の履歴をエクスポート用のデータにする
+// from / to を指定した場合は曲の終了時刻がその範囲に含まれるものだけを対象とする
+function buildRoomExport(room, from = null, to = null) {
+    const songs = [];
+    room.songHistory.forEach((song, index) => {
+        const finishedAt = new Date(song.finishedAt);
+        if ((from && finishedAt < from) || (to && finishedAt > to)) {
+            return;
+        }
+        songs.push(buildSongResult(song, index + 1));
+    });
+
+    return {
+        room: {
+            id: room.id,
+            name: room.name,
+            rule: room.rule,
+            scoring: room.scoring,
+            tieBreaker: room.tieBreaker,
+            teamMode: room.teamMode
+        },
+        exportedAt: new Date().toISOString(),
+        from: toIsoString(from),
+        to: toIsoString(to),
+        songs: songs
+    };
+}
+
+// 表計算ソフトで数式として解釈されないよう、= + - @ タブ CR で始まる文字列（ユーザー名・曲名など）の先頭に ' を付ける
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 1行 = 1曲のプレイヤー1人分
+function toCsv(exportData) {
+    const lines = [CSV_COLUMNS.join(',')];
+
+    exportData.songs.forEach(song => {
+        const metadata = song.metadata || {};
+        song.rankings.forEach(ranking => {
+            const row = {
+                songNumber: song.number,
+                songId: song.songId,
+                title: metadata.title,
+                difficulty: metadata.difficulty,
+                level: metadata.level,
+                chartId: metadata.chartId,
+                chartMismatch: song.chartMismatch,
+                songStartedAt: song.startedAt,
+                songFinishedAt: song.finishedAt,
+                ...ranking
+            };
+            lines.push(CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(','));
+        });
+    });
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildRoomExport,
+    toCsv
+};
@@ -0,0 +1,42 @@
+// 回数制限（固定ウィンドウ）
+// キー（ユーザーID・IPアドレスなど）ごとに windowMs の間で limit 回まで許可する
+class RateLimiter {
+    constructor(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map(); // key -> { count, resetAt }
+    }
+
+    // 許可する場合はtrueを返す
+    consume(key) {
+        const now = Date.now();
+        let window = this.windows.get(key);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        window.count++;
+        return window.count <= this.limit;
+    }
+
+    // 次に許可されるまでの秒数
+    getRetryAfter(key) {
+        const window = this.windows.get(key);
+        return window ? Math.max(0, Math.ceil((window.resetAt - Date.now()) / 1000)) : 0;
+    }
+
+    // 期限切れのカウントを削除
+    prune() {
+        const now = Date.now();
+        this.windows.forEach((window, key) => {
+            if (window.resetAt <= now) {
+                this.windows.delete(key);
+            }
+        });
+    }
+}
+
+module.exports = {
+    RateLimiter
+};
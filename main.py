@@ -24,44 +24,45 @@ def get_rooms(idx=None):
             ret = r['id']
     return ret
 
-def join_room(roomid=None, userid=None, password=None):
-    payload = {'userId':userid}
+def auth_header(token):
+    return {'Authorization':f"Bearer {token}"}
+
+def join_room(roomid=None, token=None, password=None):
+    payload = {}
     if password is not None:
         payload['password'] = password
     url = f"{base_url}/api/rooms/{roomid}/join"
-    res = requests.post(url, json=payload)
+    res = requests.post(url, json=payload, headers=auth_header(token))
     return res
 
-def leave_room(roomid=None,userid=None):
-    payload = {'userId':userid}
+def leave_room(roomid=None,token=None):
     url = f"{base_url}/api/rooms/{roomid}/leave"
-    res = requests.post(url, json=payload)
+    res = requests.post(url, json={}, headers=auth_header(token))
     return res
 
-def send_score(roomid=None, userid=None, score=0, exscore=0):
-    payload = {'userId':userid, 'normalScore':score, 'exScore':exscore}
+def send_score(roomid=None, token=None, score=0, exscore=0):
+    payload = {'normalScore':score, 'exScore':exscore}
     url = f"{base_url}/api/rooms/{roomid}/score"
-    res = requests.post(url, json=payload)
+    res = requests.post(url, json=payload, headers=auth_header(token))
     return res
 
-def send_score_thread(roomid, userid, score, exscore):
-    return send_score(roomid, userid, score, exscore)
+def send_score_thread(roomid, token, score, exscore):
+    return send_score(roomid, token, score, exscore)
 
-def finish_song(roomid=None,userid=None):
-    payload = {'userId':userid}
+def finish_song(roomid=None,token=None):
     url = f"{base_url}/api/rooms/{roomid}/finish"
-    res = requests.post(url, json=payload)
+    res = requests.post(url, json={}, headers=auth_header(token))
     return res
 
 if __name__ == "__main__":
     print("Hello from otoge-realtime-battle!")
     threads = []
 
-    userid = login('フリーザー').json()['userId']
+    token = login('フリーザー').json()['token']
     roomid = get_rooms(0)
-    userid2 = login('ポッポ').json()['userId']
-    join_room(roomid, userid2)
-    join_room(roomid, userid)
+    token2 = login('ポッポ').json()['token']
+    join_room(roomid, token2)
+    join_room(roomid, token)
     NUM=72
     ex0 = 0
     ex1 = 0
@@ -75,9 +76,9 @@ if __name__ == "__main__":
             ex0 += random.randint(NUM//3,NUM)
             ex1 += random.randint(NUM//3,NUM)
             t1 = threading.Thread(target=send_score_thread,
-                                  args=(roomid, userid, sc1, ex0))
+                                  args=(roomid, token, sc1, ex0))
             t2 = threading.Thread(target=send_score_thread,
-                                  args=(roomid, userid2, sc2, ex1))
+                                  args=(roomid, token2, sc2, ex1))
             threads.append(t1)
             threads.append(t2)
             t1.start()
@@ -85,7 +86,7 @@ if __name__ == "__main__":
             time.sleep(0.05)
         for thread in threads:
             thread.join()
-        finish_song(roomid, userid)
-        finish_song(roomid, userid2)
-    leave_room(roomid, userid)
-    leave_room(roomid, userid2)
+        finish_song(roomid, token)
+        finish_song(roomid, token2)
+    leave_room(roomid, token)
+    leave_room(roomid, token2)
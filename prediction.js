@@ -0,0 +1,113 @@
+// 観戦者の勝敗予想（仮想コインを賭ける）
+// 賭けは次の曲（進行中の場合はその曲）が対象で、曲の確定時に精算する
+// 配当はパリミュチュエル方式: 全員の賭け金の合計を、1位のプレイヤーに賭けた人で賭け金に応じて分け合う
+
+const INITIAL_COINS = 1000; // ユーザーの初期コイン
+
+// 受付を締め切るスコア（部屋のルールのスコアで、いずれかのプレイヤーが到達した時点で締め切る）
+const DEFAULT_CLOSE_SCORES = {
+    normal: 1000000,
+    ex: 200
+};
+
+// 部屋作成時に受け取った予想の設定を検証・整形する（不正な場合はnull）
+function normalizePredictionConfig(config, rule) {
+    if (!config) {
+        return { closeScore: DEFAULT_CLOSE_SCORES[rule] || 0 };
+    }
+
+    const closeScore = config.closeScore === undefined ? DEFAULT_CLOSE_SCORES[rule] || 0 : config.closeScore;
+    if (!Number.isInteger(closeScore) || closeScore < 0) {
+        return null;
+    }
+
+    return { closeScore };
+}
+
+class Prediction {
+    constructor() {
+        this.bets = new Map(); // userId -> { targetId, amount }
+        this.open = true;
+    }
+
+    get pool() {
+        let total = 0;
+        this.bets.forEach(bet => {
+            total += bet.amount;
+        });
+        return total;
+    }
+
+    // 賭ける（既に賭けている場合は置き換え、以前の賭けを返す）
+    placeBet(userId, targetId, amount) {
+        if (!this.open) {
+            throw new Error('Predictions are closed');
+        }
+        const previous = this.bets.get(userId) || null;
+        this.bets.set(userId, { targetId, amount });
+        return previous;
+    }
+
+    close() {
+        this.open = false;
+    }
+
+    // プレイヤーごとの賭け金の合計と人数
+    getSummary() {
+        const targets = {};
+        this.bets.forEach(bet => {
+            if (!targets[bet.targetId]) {
+                targets[bet.targetId] = { amount: 0, count: 0 };
+            }
+            targets[bet.targetId].amount += bet.amount;
+            targets[bet.targetId].count++;
+        });
+        return { open: this.open, pool: this.pool, targets };
+    }
+
+    // 確定した順位から払い戻し額を計算する（userId -> { targetId, amount, payout }）
+    // 同率1位は全員を当たりとし、当たりが1人もいない場合は全員に返金する
+    settle(rankings) {
+        const winners = new Set(rankings.filter(ranking => ranking.rank === 1).map(ranking => ranking.userId));
+        let winningStake = 0;
+        this.bets.forEach(bet => {
+            if (winners.has(bet.targetId)) {
+                winningStake += bet.amount;
+            }
+        });
+
+        const pool = this.pool;
+        const results = new Map();
+        this.bets.forEach((bet, userId) => {
+            let payout;
+            if (winningStake === 0) {
+                payout = bet.amount;
+            } else {
+                payout = winners.has(bet.targetId) ? Math.floor(pool * bet.amount / winningStake) : 0;
+            }
+            results.set(userId, { ...bet, payout });
+        });
+        return results;
+    }
+
+    toStorage() {
+        return {
+            bets: Array.from(this.bets.entries()),
+            open: this.open
+        };
+    }
+
+    static fromStorage(data) {
+        const prediction = new Prediction();
+        prediction.bets = new Map(data.bets || []);
+        prediction.open = data.open !== false;
+        return prediction;
+    }
+}
+
+module.exports = {
+    INITIAL_COINS,
+    DEFAULT_CLOSE_SCORES,
+    normalizePredictionConfig,
+    Prediction
+};
@@ -0,0 +1,411 @@
+const { sanitizeName } = require('./validation');
+
+// ポイント付与方式
+// default: 1位2pt, 2位1pt
+// f1:      F1方式 (25, 18, 15, 12, 10, 8, 6, 4, 2, 1)
+// table:   順位ごとのポイントを任意に指定
+// beaten:  自分より下位のプレイヤー数をポイントとする
+const POINT_TABLES = {
+    default: [2, 1],
+    f1: [25, 18, 15, 12, 10, 8, 6, 4, 2, 1]
+};
+
+const MAX_TABLE_LENGTH = 32;
+
+// 曲の総ノーツ数・長さ（秒）の上限（進行度とペースゴーストで使う）
+const MAX_TOTAL_NOTES = 100000;
+const MAX_DURATION = 3600;
+
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+// 部屋作成時に受け取った設定を検証・整形する（不正な場合はnull）
+function normalizeScoringConfig(config) {
+    if (!config) {
+        return { type: 'default', table: POINT_TABLES.default, marginBonus: null };
+    }
+
+    const type = config.type || 'default';
+    let table = null;
+
+    if (type === 'table') {
+        if (!Array.isArray(config.table) || config.table.length === 0 ||
+            config.table.length > MAX_TABLE_LENGTH || !config.table.every(isNonNegativeNumber)) {
+            return null;
+        }
+        table = config.table.slice();
+    } else if (POINT_TABLES[type]) {
+        table = POINT_TABLES[type];
+    } else if (type !== 'beaten') {
+        return null;
+    }
+
+    // 点差ボーナス: 1位が2位に threshold 以上の差をつけた場合 points を加算
+    let marginBonus = null;
+    if (config.marginBonus) {
+        const { threshold, points } = config.marginBonus;
+        if (!isNonNegativeNumber(threshold) || threshold === 0 || !isNonNegativeNumber(points)) {
+            return null;
+        }
+        marginBonus = { threshold, points };
+    }
+
+    return { type, table, marginBonus };
+}
+
+// 同順位のプレイヤーをまとめる（rankingsは順位順であること）
+function groupTies(rankings) {
+    const groups = [];
+    rankings.forEach((player, index) => {
+        const last = groups[groups.length - 1];
+        if (last && rankings[last.start].rank === player.rank) {
+            last.end = index;
+        } else {
+            groups.push({ start: index, end: index });
+        }
+    });
+    return groups;
+}
+
+function roundPoints(points) {
+    return Math.round(points * 100) / 100;
+}
+
+// 順位表から各プレイヤーの獲得ポイントを計算する
+// 同点のプレイヤーは該当する順位のポイントを等分する
+// DNF(時間切れで未完走)のプレイヤーは0ptで、他のプレイヤーのポイントの計算にも含めない
+function calculatePoints(allRankings, config) {
+    const scoring = config || normalizeScoringConfig(null);
+    const points = new Map();
+    const rankings = allRankings.filter(ranking => !ranking.dnf);
+
+    groupTies(rankings).forEach(({ start, end }) => {
+        let value;
+        if (scoring.type === 'beaten') {
+            value = rankings.length - 1 - end;
+        } else {
+            let total = 0;
+            for (let i = start; i <= end; i++) {
+                total += scoring.table[i] || 0;
+            }
+            value = total / (end - start + 1);
+        }
+
+        for (let i = start; i <= end; i++) {
+            points.set(rankings[i].userId, value);
+        }
+    });
+
+    // 単独1位のみ点差ボーナスの対象
+    if (scoring.marginBonus && rankings.length >= 2 && rankings[1].rank > rankings[0].rank) {
+        const margin = rankings[0].score - rankings[1].score;
+        if (margin >= scoring.marginBonus.threshold) {
+            const winnerId = rankings[0].userId;
+            points.set(winnerId, points.get(winnerId) + scoring.marginBonus.points);
+        }
+    }
+
+    points.forEach((value, userId) => points.set(userId, roundPoints(value)));
+    allRankings.filter(ranking => ranking.dnf).forEach(ranking => points.set(ranking.userId, 0));
+    return points;
+}
+
+// 終了待ちの制限時間
+// from:   firstFinish: 最初のプレイヤーの終了から, lastScore: 最後にスコアが伸びてから
+// action: finish: 残りのプレイヤーをその時点のスコアで終了, dnf: 残りのプレイヤーをDNFとする
+// スコアを1度も送信していないプレイヤーはどちらの場合もDNF
+const FINISH_TIMEOUT_FROM = ['firstFinish', 'lastScore'];
+const FINISH_TIMEOUT_ACTIONS = ['finish', 'dnf'];
+const MAX_FINISH_TIMEOUT_SECONDS = 3600;
+
+// 部屋作成時に受け取った制限時間の設定を検証・整形する（制限なしはnull、不正な場合はfalse）
+function normalizeFinishTimeoutConfig(config) {
+    if (!config) {
+        return null;
+    }
+
+    const { seconds } = config;
+    const from = config.from || 'firstFinish';
+    const action = config.action || 'finish';
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_FINISH_TIMEOUT_SECONDS ||
+        !FINISH_TIMEOUT_FROM.includes(from) || !FINISH_TIMEOUT_ACTIONS.includes(action)) {
+        return false;
+    }
+
+    return { seconds, from, action };
+}
+
+// チーム戦
+// sum: チーム内の合計スコア, average: チーム内の平均スコア
+const TEAM_AGGREGATES = ['sum', 'average'];
+const MAX_TEAMS = 8;
+const MAX_TEAM_NAME_LENGTH = 20;
+
+// 部屋作成時に受け取ったチーム設定を検証・整形する（チーム戦なしはnull、不正な場合はfalse）
+function normalizeTeamConfig(config) {
+    if (!config) {
+        return null;
+    }
+
+    const aggregate = config.aggregate || 'sum';
+    if (!TEAM_AGGREGATES.includes(aggregate)) {
+        return false;
+    }
+
+    if (config.teams !== undefined && !Array.isArray(config.teams)) {
+        return false;
+    }
+
+    // チーム名は画面にそのまま表示されるため名前と同様に加工する
+    const teams = (config.teams || ['red', 'blue']).map(team => typeof team === 'string' ? sanitizeName(team) : '');
+    if (teams.length < 2 || teams.length > MAX_TEAMS ||
+        !teams.every(team => typeof team === 'string' && team.length > 0 && team.length <= MAX_TEAM_NAME_LENGTH) ||
+        new Set(teams).size !== teams.length) {
+        return false;
+    }
+
+    return { aggregate, teams: teams.slice() };
+}
+
+// プレイヤーの順位表からチームごとの集計を作る（スコアを送信したメンバーがいるチームのみ）
+function calculateTeamRankings(rankings, teamMode, assignments) {
+    const teams = teamMode.teams
+        .map(team => {
+            const members = rankings.filter(ranking => assignments[ranking.userId] === team);
+            const total = members.reduce((sum, member) => sum + member.score, 0);
+            return {
+                team: team,
+                score: teamMode.aggregate === 'average' && members.length > 0 ? roundPoints(total / members.length) : total,
+                members: members.map(member => member.userId)
+            };
+        })
+        .filter(team => team.members.length > 0)
+        .sort((a, b) => b.score - a.score);
+
+    // 同点のチームは同順位
+    const teamRankings = [];
+    teams.forEach((team, index) => {
+        const previous = teamRankings[index - 1];
+        teamRankings.push({
+            ...team,
+            rank: previous && previous.score === team.score ? previous.rank : index + 1
+        });
+    });
+
+    return teamRankings;
+}
+
+// チームの順位表から獲得ポイントを計算する（チーム名 -> ポイント）
+function calculateTeamPoints(teamRankings, config) {
+    return calculatePoints(teamRankings.map(team => ({
+        userId: team.team,
+        rank: team.rank,
+        score: team.score
+    })), config);
+}
+
+// サバイバル
+// 曲が終わるたびに下位 eliminatePerSong 人を観戦者にし、最後に残った1人を勝者とする
+const MAX_ELIMINATE_PER_SONG = 10;
+
+// 部屋作成時に受け取ったサバイバルの設定を検証・整形する（サバイバルなしはnull、不正な場合はfalse）
+function normalizeSurvivalConfig(config) {
+    if (!config) {
+        return null;
+    }
+
+    const eliminatePerSong = config.eliminatePerSong === undefined ? 1 : config.eliminatePerSong;
+    if (!Number.isInteger(eliminatePerSong) || eliminatePerSong < 1 || eliminatePerSong > MAX_ELIMINATE_PER_SONG) {
+        return false;
+    }
+
+    return { eliminatePerSong };
+}
+
+// 脱落するプレイヤー（rankingsは順位順であること）
+// 残るプレイヤーの最下位と同点のプレイヤーは残す（全員が同点の場合は誰も脱落しない）
+function selectEliminated(rankings, count) {
+    const keep = Math.max(1, rankings.length - count);
+    if (rankings.length <= keep) {
+        return [];
+    }
+    const lastRank = rankings[keep - 1].rank;
+    return rankings.filter(ranking => ranking.rank > lastRank);
+}
+
+// ハンデ（順位付けのみに使い、素点はそのまま記録する）
+// offset:  スコアに value を加算（マイナスも可）
+// percent: スコアに value% を掛ける（例: 110 で1.1倍、小数点以下は四捨五入）
+const MAX_HANDICAP_OFFSET = 10000000;
+const MAX_HANDICAP_PERCENT = 1000;
+
+// 部屋主が設定したハンデを検証・整形する（ハンデなしはnull、不正な場合はfalse）
+function normalizeHandicapConfig(config) {
+    if (!config) {
+        return null;
+    }
+
+    const { type, value } = config;
+    if (type === 'offset') {
+        if (!Number.isInteger(value) || Math.abs(value) > MAX_HANDICAP_OFFSET) {
+            return false;
+        }
+    } else if (type === 'percent') {
+        if (!isNonNegativeNumber(value) || value === 0 || value > MAX_HANDICAP_PERCENT) {
+            return false;
+        }
+    } else {
+        return false;
+    }
+
+    // スコアが変わらない値はハンデなしとして扱う
+    if ((type === 'offset' && value === 0) || (type === 'percent' && value === 100)) {
+        return null;
+    }
+    return { type, value };
+}
+
+function applyHandicap(score, handicap) {
+    if (!handicap) {
+        return score;
+    }
+    return handicap.type === 'offset' ? score + handicap.value : Math.round(score * handicap.value / 100);
+}
+
+// ゴースト（順位表に表示する仮想の対戦相手）
+// pace:         最大スコアの rate(%) を目標スコアとし、曲の進行度に合わせて伸ばす。maxScore を省略した場合は曲の情報の maxExScore を使う（EXスコアの部屋のみ）
+//               進行度はプレイヤーが送ったものを使い、誰も送っていない場合は duration（曲の長さ、秒）と経過時間から求める
+// personalBest: 部屋の過去の曲から、同じ譜面での userId のプレイヤーの最高スコアの推移を再生する
+const MAX_GHOST_LABEL_LENGTH = 20;
+
+// 部屋主が設定したゴーストを検証・整形する（ゴーストなしはnull、不正な場合はfalse）
+function normalizeGhostConfig(config) {
+    if (!config) {
+        return null;
+    }
+
+    if (config.type === 'pace') {
+        const { rate } = config;
+        const maxScore = config.maxScore === undefined ? null : config.maxScore;
+        const duration = config.duration === undefined ? null : config.duration;
+        if (!isNonNegativeNumber(rate) || rate === 0 || rate > 100 ||
+            (maxScore !== null && (!Number.isInteger(maxScore) || maxScore <= 0)) ||
+            (duration !== null && (!isNonNegativeNumber(duration) || duration === 0 || duration > MAX_DURATION))) {
+            return false;
+        }
+
+        // 表示名（例: AAAペース）は画面にそのまま表示されるため名前と同様に加工する
+        let label = null;
+        if (config.label !== undefined) {
+            label = typeof config.label === 'string' ? sanitizeName(config.label) : '';
+            if (label.length === 0 || label.length > MAX_GHOST_LABEL_LENGTH) {
+                return false;
+            }
+        }
+        return { type: 'pace', rate, maxScore, duration, label };
+    }
+
+    if (config.type === 'personalBest') {
+        if (typeof config.userId !== 'string' || !/^[\w-]{1,100}$/.test(config.userId)) {
+            return false;
+        }
+        return { type: 'personalBest', userId: config.userId };
+    }
+
+    return false;
+}
+
+// 進行度・予測スコア
+// クライアントはスコアと一緒に進行度を送れる
+// notes:   判定済みのノーツ数 notes / 総ノーツ数 totalNotes
+// elapsed: 曲の経過時間 elapsed / 曲の長さ duration（秒）
+
+// スコアと一緒に受け取った進行度を検証し、0〜1の割合を返す（なしはnull、不正な場合はfalse）
+function normalizeProgress(data) {
+    if (data === undefined || data === null) {
+        return null;
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return false;
+    }
+
+    if (data.totalNotes !== undefined) {
+        const { notes, totalNotes } = data;
+        if (!Number.isInteger(totalNotes) || totalNotes < 1 || totalNotes > MAX_TOTAL_NOTES ||
+            !Number.isInteger(notes) || notes < 0 || notes > totalNotes) {
+            return false;
+        }
+        return notes / totalNotes;
+    }
+
+    if (data.duration !== undefined) {
+        const { elapsed, duration } = data;
+        if (!isNonNegativeNumber(duration) || duration === 0 || duration > MAX_DURATION ||
+            !isNonNegativeNumber(elapsed) || elapsed > duration) {
+            return false;
+        }
+        return elapsed / duration;
+    }
+
+    return false;
+}
+
+// 順位表に予測スコアを加える（rankingsは順位順であること）
+// projectedScore: 今のペースのまま最後までプレイした場合のスコア（ハンデ適用後。終了したプレイヤーは最終スコア、進行度が分からない場合はnull）
+// paceGap:        先頭の予測スコアとの差を進行度に合わせて縮めたもの（同じ進行度の時点で先頭のペースから何点遅れているか）
+// projectedRank:  予測スコアでの順位（予測スコアがないプレイヤーは現在のスコアで比べる）
+// maxScores: userId -> 譜面の最大スコア（予測スコアの上限）
+function addProjections(rankings, maxScores = {}) {
+    const projected = rankings.map(ranking => {
+        const progress = ranking.finished ? 1 : ranking.progress;
+        if (!progress) {
+            return { ...ranking, projectedScore: null, paceGap: null };
+        }
+
+        let rawScore = ranking.finished ? ranking.rawScore : Math.round(ranking.rawScore / progress);
+        if (maxScores[ranking.userId]) {
+            rawScore = Math.min(rawScore, Math.max(ranking.rawScore, maxScores[ranking.userId]));
+        }
+        return { ...ranking, projectedScore: applyHandicap(rawScore, ranking.handicap), paceGap: null };
+    });
+
+    const leader = Math.max(...projected
+        .filter(ranking => !ranking.dnf && ranking.projectedScore !== null)
+        .map(ranking => ranking.projectedScore));
+    projected.forEach(ranking => {
+        if (ranking.projectedScore !== null && Number.isFinite(leader)) {
+            const progress = ranking.finished ? 1 : ranking.progress;
+            ranking.paceGap = Math.round((ranking.projectedScore - leader) * progress);
+        }
+    });
+
+    // DNFのプレイヤーは下位、同点は同順位
+    const key = ranking => ranking.projectedScore === null ? ranking.score : ranking.projectedScore;
+    const order = projected.slice().sort((a, b) => (!!a.dnf - !!b.dnf) || key(b) - key(a));
+    order.forEach((ranking, index) => {
+        const previous = order[index - 1];
+        ranking.projectedRank = previous && !!previous.dnf === !!ranking.dnf && key(previous) === key(ranking)
+            ? previous.projectedRank
+            : index + 1;
+    });
+
+    return projected;
+}
+
+module.exports = {
+    POINT_TABLES,
+    normalizeScoringConfig,
+    calculatePoints,
+    normalizeTeamConfig,
+    calculateTeamRankings,
+    calculateTeamPoints,
+    normalizeFinishTimeoutConfig,
+    normalizeHandicapConfig,
+    applyHandicap,
+    normalizeGhostConfig,
+    normalizeSurvivalConfig,
+    selectEliminated,
+    normalizeProgress,
+    addProjections
+};
@@ -0,0 +1,254 @@
+// ローカルでの複数インスタンス確認用のRedis互換ブローカー
+// 状態共有とSocket.IO アダプターで使うコマンドのみをメモリ上で実装する（永続化はしない）
+// 本番環境ではRedisを使うこと
+//
+// 使い方: npm run broker -- --port=6379
+//   STATE_STORE=redis REDIS_URL=redis://127.0.0.1:6379 PORT=3000 npm start
+//   STATE_STORE=redis REDIS_URL=redis://127.0.0.1:6379 PORT=3001 npm start
+
+const net = require('net');
+
+// RESPの応答を組み立てる
+function encode(value) {
+    if (value === null) {
+        return '$-1\r\n';
+    }
+    if (Array.isArray(value)) {
+        return `*${value.length}\r\n` + value.map(encode).join('');
+    }
+    if (typeof value === 'number') {
+        return `:${value}\r\n`;
+    }
+    if (value instanceof Error) {
+        return `-${value.message}\r\n`;
+    }
+    if (value && value.status) {
+        return `+${value.status}\r\n`;
+    }
+    return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+const OK = { status: 'OK' };
+
+// 受信したバッファからコマンドを取り出す（途中までしか届いていない場合はnull）
+function parseCommand(buffer, offset) {
+    if (offset >= buffer.length) {
+        return null;
+    }
+
+    // インラインコマンド（redis-cli などからの PING など）
+    if (buffer[offset] !== 0x2a) {
+        const end = buffer.indexOf('\r\n', offset);
+        if (end === -1) {
+            return null;
+        }
+        const args = buffer.toString('utf8', offset, end).trim().split(/\s+/).filter(Boolean);
+        return { args, next: end + 2 };
+    }
+
+    let end = buffer.indexOf('\r\n', offset);
+    if (end === -1) {
+        return null;
+    }
+    const count = parseInt(buffer.toString('utf8', offset + 1, end), 10);
+    let position = end + 2;
+    const args = [];
+
+    for (let i = 0; i < count; i++) {
+        end = buffer.indexOf('\r\n', position);
+        if (end === -1) {
+            return null;
+        }
+        const length = parseInt(buffer.toString('utf8', position + 1, end), 10);
+        const start = end + 2;
+        if (start + length + 2 > buffer.length) {
+            return null;
+        }
+        args.push(buffer.toString('utf8', start, start + length));
+        position = start + length + 2;
+    }
+
+    return { args, next: position };
+}
+
+function createBroker() {
+    const hashes = new Map(); // key -> Map(field -> value)
+    const strings = new Map(); // key -> { value, expiresAt }
+    const channels = new Map(); // channel -> Set(socket)
+
+    function getString(key) {
+        const entry = strings.get(key);
+        if (entry && entry.expiresAt && entry.expiresAt <= Date.now()) {
+            strings.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    function subscribe(socket, channel) {
+        if (!channels.has(channel)) {
+            channels.set(channel, new Set());
+        }
+        channels.get(channel).add(socket);
+        socket.subscriptions.add(channel);
+    }
+
+    function unsubscribe(socket, channel) {
+        const subscribers = channels.get(channel);
+        if (subscribers) {
+            subscribers.delete(socket);
+            if (subscribers.size === 0) {
+                channels.delete(channel);
+            }
+        }
+        socket.subscriptions.delete(channel);
+    }
+
+    function execute(socket, args) {
+        const command = (args[0] || '').toUpperCase();
+        const key = args[1];
+
+        switch (command) {
+            case 'PING':
+                return args.length > 1 ? args[1] : { status: 'PONG' };
+            case 'INFO':
+                // ioredis は接続時に読み込み中かどうかを確認する
+                return '# Server\r\nredis_version:7.0.0\r\nloading:0\r\n';
+            case 'SELECT':
+            case 'CLIENT':
+                return OK;
+            case 'HSET': {
+                if (!hashes.has(key)) {
+                    hashes.set(key, new Map());
+                }
+                const hash = hashes.get(key);
+                let added = 0;
+                for (let i = 2; i + 1 < args.length; i += 2) {
+                    if (!hash.has(args[i])) {
+                        added++;
+                    }
+                    hash.set(args[i], args[i + 1]);
+                }
+                return added;
+            }
+            case 'HGET': {
+                const hash = hashes.get(key);
+                return hash && hash.has(args[2]) ? hash.get(args[2]) : null;
+            }
+            case 'HDEL': {
+                const hash = hashes.get(key);
+                if (!hash) {
+                    return 0;
+                }
+                const removed = args.slice(2).filter(field => hash.delete(field)).length;
+                if (hash.size === 0) {
+                    hashes.delete(key);
+                }
+                return removed;
+            }
+            case 'HGETALL': {
+                const hash = hashes.get(key);
+                return hash ? Array.from(hash).flat() : [];
+            }
+            case 'SET': {
+                const options = args.slice(3).map(arg => arg.toUpperCase());
+                if (options.includes('NX') && getString(key)) {
+                    return null;
+                }
+                let expiresAt = null;
+                const px = options.indexOf('PX');
+                const ex = options.indexOf('EX');
+                if (px !== -1) {
+                    expiresAt = Date.now() + Number(args[3 + px + 1]);
+                } else if (ex !== -1) {
+                    expiresAt = Date.now() + Number(args[3 + ex + 1]) * 1000;
+                }
+                strings.set(key, { value: args[2], expiresAt });
+                return OK;
+            }
+            case 'GET': {
+                const entry = getString(key);
+                return entry ? entry.value : null;
+            }
+            case 'DEL':
+                return args.slice(1).filter(name => strings.delete(name) || hashes.delete(name)).length;
+            case 'PUBLISH': {
+                const subscribers = channels.get(key);
+                if (!subscribers) {
+                    return 0;
+                }
+                const message = encode(['message', key, args[2]]);
+                subscribers.forEach(subscriber => subscriber.write(message));
+                return subscribers.size;
+            }
+            case 'SUBSCRIBE':
+                return args.slice(1).map(channel => {
+                    subscribe(socket, channel);
+                    return ['subscribe', channel, socket.subscriptions.size];
+                });
+            case 'UNSUBSCRIBE': {
+                const targets = args.length > 1 ? args.slice(1) : Array.from(socket.subscriptions);
+                return targets.map(channel => {
+                    unsubscribe(socket, channel);
+                    return ['unsubscribe', channel, socket.subscriptions.size];
+                });
+            }
+            case 'QUIT':
+                socket.end(encode(OK));
+                return undefined;
+            default:
+                return new Error(`ERR unknown command '${command}'`);
+        }
+    }
+
+    const server = net.createServer(socket => {
+        let buffer = Buffer.alloc(0);
+        socket.subscriptions = new Set();
+
+        socket.on('data', chunk => {
+            buffer = Buffer.concat([buffer, chunk]);
+            let offset = 0;
+            let parsed;
+            while ((parsed = parseCommand(buffer, offset))) {
+                offset = parsed.next;
+                if (parsed.args.length === 0) {
+                    continue;
+                }
+                const result = execute(socket, parsed.args);
+                if (result === undefined) {
+                    continue;
+                }
+                // SUBSCRIBE / UNSUBSCRIBE はチャンネルごとに応答する
+                const command = parsed.args[0].toUpperCase();
+                if (command === 'SUBSCRIBE' || command === 'UNSUBSCRIBE') {
+                    result.forEach(reply => socket.write(encode(reply)));
+                } else {
+                    socket.write(encode(result));
+                }
+            }
+            buffer = buffer.subarray(offset);
+        });
+
+        socket.on('close', () => {
+            Array.from(socket.subscriptions).forEach(channel => unsubscribe(socket, channel));
+        });
+        socket.on('error', () => {});
+    });
+
+    return server;
+}
+
+module.exports = { createBroker };
+
+if (require.main === module) {
+    const match = process.argv.slice(2).join(' ').match(/--port=(\d+)/);
+    const port = match ? Number(match[1]) : 6379;
+    const broker = createBroker();
+    broker.listen(port, () => {
+        console.log(`Broker running on port ${port}`);
+    });
+
+    const shutdown = () => broker.close(() => process.exit(0));
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
+}
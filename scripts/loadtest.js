@@ -0,0 +1,189 @@
+// 負荷試験
+// 同じプロセス内でサーバーを起動し、N部屋 × Mプレイヤーがプレー中と同じ間隔でスコアを送信した時の
+// rankingsUpdated の遅延（スコア送信から可視化画面に届くまで）とスループットを計測する
+// クライアントもサーバーと同じプロセスで動くため、数値は実運用より悲観的になる
+//
+// 使い方: npm run loadtest -- --rooms=10 --players=4 --rate=20 --duration=10
+//   rooms:    部屋数
+//   players:  1部屋あたりのプレイヤー数
+//   rate:     1プレイヤーあたりの1秒間のスコア送信回数
+//   duration: 送信を続ける秒数
+
+process.env.STORAGE_TYPE = 'memory';
+// 全プレイヤーが同じIPアドレスから送信するため、IPアドレスごとの回数制限は外す
+process.env.SCORE_RATE_LIMIT_PER_IP = process.env.SCORE_RATE_LIMIT_PER_IP || '1000000';
+
+const { io: connectClient } = require('socket.io-client');
+
+// サーバーのログは結果の表示の邪魔になるため出力しない
+const log = console.log;
+console.log = () => {};
+
+const server = require('../server');
+
+function parseArgs(argv) {
+    const options = { rooms: 5, players: 4, rate: 20, duration: 10 };
+    argv.forEach(arg => {
+        const match = arg.match(/^--(\w+)=(\d+(?:\.\d+)?)$/);
+        if (match && match[1] in options) {
+            options[match[1]] = Number(match[2]);
+        }
+    });
+    return options;
+}
+
+async function api(baseUrl, method, path, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(baseUrl + path, { method, headers, body: JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+}
+
+function connectSocket(baseUrl) {
+    return new Promise((resolve, reject) => {
+        const socket = connectClient(baseUrl, { transports: ['websocket'], forceNew: true });
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+function percentile(values, p) {
+    if (values.length === 0) {
+        return 0;
+    }
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p / 100))];
+}
+
+function formatStats(values) {
+    return ['p50', 'p95', 'p99'].map(label => `${label} ${percentile(values, Number(label.slice(1))).toFixed(1)}ms`)
+        .concat(`max ${Math.max(0, ...values).toFixed(1)}ms`)
+        .join(' / ');
+}
+
+// 1部屋分のプレイヤーと可視化画面を用意する
+async function setupRoom(baseUrl, index, playerCount, stats) {
+    const players = [];
+    for (let i = 0; i < playerCount; i++) {
+        const { body } = await api(baseUrl, 'POST', '/api/connect', { username: `room${index}_p${i}` });
+        players.push({ userId: body.userId, token: body.token, exScore: 0, sentAt: new Map() });
+    }
+
+    const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: `load test ${index}`, rule: 'ex' }, players[0].token);
+    const roomId = body.roomId;
+    for (const player of players.slice(1)) {
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, player.token);
+    }
+
+    const watcher = await connectSocket(baseUrl);
+    const playersById = new Map(players.map(player => [player.userId, player]));
+
+    // 表示されたスコアを送信した時刻からの経過時間を遅延とする（それより前の送信分は上書き済みとして捨てる）
+    watcher.on('rankingsUpdated', rankings => {
+        const now = performance.now();
+        stats.updates++;
+        rankings.forEach(ranking => {
+            const player = playersById.get(ranking.userId);
+            if (!player || !player.sentAt.has(ranking.ex)) {
+                return;
+            }
+            stats.latencies.push(now - player.sentAt.get(ranking.ex));
+            player.sentAt.forEach((time, exScore) => {
+                if (exScore <= ranking.ex) {
+                    player.sentAt.delete(exScore);
+                }
+            });
+        });
+    });
+
+    await new Promise(resolve => {
+        watcher.once('roomInfo', resolve);
+        watcher.emit('watchRoom', { roomId });
+    });
+
+    return { roomId, players, watcher };
+}
+
+async function sendScore(baseUrl, room, player, stats) {
+    player.exScore += 1 + Math.floor(Math.random() * 3);
+    const exScore = player.exScore;
+    const startedAt = performance.now();
+    player.sentAt.set(exScore, startedAt);
+
+    try {
+        const response = await fetch(`${baseUrl}/api/rooms/${room.roomId}/score`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${player.token}` },
+            body: JSON.stringify({ normalScore: exScore * 1000, exScore })
+        });
+        await response.arrayBuffer();
+        stats.responseTimes.push(performance.now() - startedAt);
+        stats.statuses[response.status] = (stats.statuses[response.status] || 0) + 1;
+    } catch (error) {
+        stats.statuses.error = (stats.statuses.error || 0) + 1;
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    const httpServer = await server.start(0);
+    const baseUrl = `http://127.0.0.1:${httpServer.address().port}`;
+    const stats = { latencies: [], responseTimes: [], statuses: {}, updates: 0 };
+
+    log(`Setting up ${options.rooms} rooms x ${options.players} players (${options.rate} scores/s per player, ${options.duration}s)`);
+    const rooms = [];
+    for (let i = 0; i < options.rooms; i++) {
+        rooms.push(await setupRoom(baseUrl, i, options.players, stats));
+    }
+
+    // 送信タイミングが揃わないよう各プレイヤーの開始をずらす
+    const interval = 1000 / options.rate;
+    const timers = [];
+    const pending = new Set();
+    rooms.forEach(room => room.players.forEach(player => {
+        timers.push(setTimeout(() => {
+            timers.push(setInterval(() => {
+                const request = sendScore(baseUrl, room, player, stats);
+                pending.add(request);
+                request.finally(() => pending.delete(request));
+            }, interval));
+        }, Math.random() * interval));
+    }));
+
+    const startedAt = performance.now();
+    await new Promise(resolve => setTimeout(resolve, options.duration * 1000));
+    timers.forEach(timer => clearInterval(timer));
+    await Promise.all(pending);
+    const elapsed = (performance.now() - startedAt) / 1000;
+
+    // 最後のランキング更新を待ってから曲を終了する
+    await new Promise(resolve => setTimeout(resolve, 300));
+    for (const room of rooms) {
+        const finished = new Promise(resolve => room.watcher.once('songFinished', resolve));
+        for (const player of room.players) {
+            await api(baseUrl, 'POST', `/api/rooms/${room.roomId}/finish`, {}, player.token);
+        }
+        await finished;
+        room.watcher.close();
+    }
+
+    const sent = Object.values(stats.statuses).reduce((sum, count) => sum + count, 0);
+    const accepted = stats.statuses[200] || 0;
+    log('');
+    log(`Scores sent:        ${sent} (${(sent / elapsed).toFixed(1)}/s)`);
+    log(`Scores accepted:    ${accepted} (${(accepted / elapsed).toFixed(1)}/s)`);
+    log(`Responses:          ${Object.entries(stats.statuses).map(([status, count]) => `${status}: ${count}`).join(', ')}`);
+    log(`Response time:      ${formatStats(stats.responseTimes)}`);
+    log(`rankingsUpdated:    ${stats.updates} (${(stats.updates / elapsed).toFixed(1)}/s, ${(stats.updates / elapsed / options.rooms).toFixed(1)}/s per room)`);
+    log(`Update latency:     ${formatStats(stats.latencies)}`);
+
+    await server.stop();
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -4,6 +4,18 @@ const socketIo = require('socket.io');
 const cors = require('cors');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
+const crypto = require('crypto');
+const proxyaddr = require('proxy-addr');
+const { createStorage } = require('./storage');
+const { normalizeScoringConfig, calculatePoints, normalizeTeamConfig, calculateTeamRankings, calculateTeamPoints, normalizeFinishTimeoutConfig, normalizeHandicapConfig, applyHandicap, normalizeGhostConfig, normalizeSurvivalConfig, selectEliminated, normalizeProgress, addProjections } = require('./scoring');
+const { TOURNAMENT_FORMATS, MAX_BEST_OF, Tournament } = require('./tournament');
+const { buildRoomExport, toCsv } = require('./export');
+const { HOST_PERMISSIONS, REST_SCHEMAS, SOCKET_SCHEMAS, sanitizeMessage, validate } = require('./validation');
+const { RateLimiter } = require('./limiter');
+const { createStateStore } = require('./store');
+const { INITIAL_COINS, normalizePredictionConfig, Prediction } = require('./prediction');
+const { MAX_ATTEMPTS: MAX_WEBHOOK_ATTEMPTS, normalizeWebhookConfig, getRetryDelay, Webhook, sendWebhook } = require('./webhooks');
+const { getSeasonId, isSeasonId, getUsernameKey, PlayerProfile, createSongRecord, createStats, aggregateStats, formatStats, buildLeaderboard } = require('./stats');
 
 const app = express();
 const server = http.createServer(app);
@@ -15,47 +27,323 @@ const io = socketIo(server, {
 });
 // 管理者パスワードの設定（環境変数または固定値）
 const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123'; // 本番環境では環境変数を使用
+// 切断後、部屋から外すまでの猶予時間(ms)
+const RECONNECT_GRACE_PERIOD = Number(process.env.RECONNECT_GRACE_PERIOD) || 60 * 1000;
+
+// リバースプロキシの後ろで動かす場合は TRUST_PROXY で信頼するプロキシを指定する
+// （Express の trust proxy と同じ形式: true・ホップ数・カンマ区切りのアドレス/サブネット/loopback など）
+// 指定した場合、回数制限に使うIPアドレスは HTTP・WebSocket とも X-Forwarded-For から取り出す
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 app.use(cors());
 app.use(express.json());
+app.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Invalid JSON' });
+    }
+    next(err);
+});
 app.use(express.static(path.join(__dirname, 'public')));
 
 // データ構造
 let rooms = new Map(); // roomId -> room data
 let users = new Map(); // userId -> user data
 let socketToUser = new Map(); // socketId -> userId
+let sessions = new Map(); // hashed session token -> userId
+let tournaments = new Map(); // tournamentId -> Tournament
 let updateTimers = new Map(); // roomId -> timer for batched updates
-let lastUpdateTime = new Map(); // roomId -> last update timestamp
+let rankingWindows = new Map(); // roomId -> このインスタンスがランキング更新を担当している期間のタイマー
+let pendingRankings = new Set(); // 未送信のスコア変更がある roomId
+let disconnectTimers = new Map(); // userId -> timer for cleanup after disconnect
+let countdownTimers = new Map(); // roomId -> カウントダウン終了時に曲を開始するタイマー
+let finishTimers = new Map(); // roomId -> 終了待ちの制限時間のタイマー
+let profiles = new Map(); // profileId -> PlayerProfile
+let songRecords = new Map(); // songId -> 確定した曲の結果の記録（長期の成績の集計用）
+let webhooks = new Map(); // webhookId -> Webhook
+let webhookTimers = new Map(); // deliveryId -> Webhookの再送のタイマー
+let lastChatTimes = new Map(); // userId -> 最後にチャットを送信した時刻（低速モードの判定用）
+
+// 同点時の扱い
+// none: 同順位, otherScore: もう一方のスコア(通常/EX)で比較, submittedAt: 先にそのスコアに到達した方が上位
+const TIE_BREAKERS = ['none', 'otherScore', 'submittedAt'];
+
+// 準備確認ありの部屋で、曲を開始するまでのカウントダウン(秒)
+const DEFAULT_COUNTDOWN_SECONDS = 5;
+
+// 無効にした曲のIDを保持する件数
+const MAX_VOIDED_SONGS = 20;
+
+// 部屋ごとに保持するチャットの件数（入室・再読み込みの際に送る）
+const MAX_CHAT_HISTORY = 100;
+
+// 回数制限（ユーザーごと・IPアドレスごと）
+const rateLimiters = {
+    score: {
+        user: new RateLimiter(30, 1000),
+        ip: new RateLimiter(Number(process.env.SCORE_RATE_LIMIT_PER_IP) || 100, 1000)
+    },
+    chat: {
+        user: new RateLimiter(5, 5000),
+        ip: new RateLimiter(Number(process.env.CHAT_RATE_LIMIT_PER_IP) || 20, 5000)
+    }
+};
+
+// 期限切れのカウントを定期的に削除
+setInterval(() => {
+    Object.values(rateLimiters).forEach(limiters => {
+        limiters.user.prune();
+        limiters.ip.prune();
+    });
+}, 60 * 1000).unref();
+
+// 永続化
+const storage = createStorage();
+const SAVE_DELAY = 1000; // 保存を間引く間隔(ms)
+let saveTimer = null;
+
+// 複数インスタンスでの状態共有
+const stateStore = createStateStore();
+const SHARED_COLLECTIONS = ['users', 'sessions', 'rooms', 'tournaments', 'profiles', 'songRecords', 'webhooks'];
+const RANKING_UPDATE_INTERVAL = 200; // 1部屋あたりのランキング更新の間隔(ms)
+const RANKING_RETRY_INTERVAL = 50; // 他のインスタンスが更新を担当している場合の再確認の間隔(ms)
+const FINISH_LOCK_TTL = 60 * 1000; // 曲の確定処理のロックの有効期間(ms)
+
+// 部屋の自動削除までの時間(ms)。環境変数に0を指定すると無効
+const EMPTY_ROOM_TIMEOUT = getDurationEnv('EMPTY_ROOM_TIMEOUT', 30 * 60 * 1000); // メンバーがいない部屋
+const IDLE_ROOM_TIMEOUT = getDurationEnv('IDLE_ROOM_TIMEOUT', 24 * 60 * 60 * 1000); // メンバーがいても操作のない部屋
+const ROOM_EXPIRY_CHECK_INTERVAL = Number(process.env.ROOM_EXPIRY_CHECK_INTERVAL) || 60 * 1000;
+
+function getDurationEnv(name, defaultValue) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && value >= 0 ? value : defaultValue;
+}
 
 // 部屋のデータ構造
 class Room {
-    constructor(name, rule, password = null, ownerId) {
+    constructor({
+        name,
+        rule,
+        password = null,
+        ownerId,
+        scoring = null,
+        tieBreaker = 'none',
+        teamMode = null,
+        predictionConfig = null,
+        readyCheck = false,
+        finishTimeout = null,
+        maxPlayers = null,
+        maxSpectators = null,
+        survival = null
+    }) {
         this.id = uuidv4();
         this.name = name;
         this.rule = rule; // 'normal' or 'ex'
+        this.scoring = scoring || normalizeScoringConfig(null); // ポイント付与方式
+        this.tieBreaker = tieBreaker; // 同点時の扱い
+        this.teamMode = teamMode; // チーム戦の設定 (null: 個人戦)
+        this.teamAssignments = {}; // userId -> チーム名
+        this.teamPoints = {}; // チーム名 -> ポイント
+        this.handicaps = {}; // userId -> ハンデ { type, value }
+        this.ghost = null; // ゴーストの設定 (null: なし)
+        this.predictionConfig = predictionConfig || normalizePredictionConfig(null, rule); // 観戦者の勝敗予想の設定
+        this.prediction = new Prediction(); // 次の曲（進行中の場合はその曲）への予想
+        this.readyCheck = readyCheck; // true: 全員の準備完了後、部屋主のカウントダウンで曲を開始する
+        this.readyPlayers = new Set(); // 準備完了のプレイヤー
+        this.countdown = null; // { songId, startsAt } カウントダウン中の曲
+        this.finishTimeout = finishTimeout; // 終了待ちの制限時間 (null: 全員の終了を待つ)
+        this.maxPlayers = maxPlayers; // プレイヤーの上限 (null: 制限なし)
+        this.maxSpectators = maxSpectators; // 観戦者の上限 (null: 制限なし)
+        this.survival = survival; // サバイバルの設定 (null: なし)
+        this.eliminated = []; // サバイバルで脱落したプレイヤー { userId, username, songId, eliminatedAt }（脱落順）
+        this.survivalWinner = null; // サバイバルの勝者 { userId, username, decidedAt }
+        this.locked = false; // true: 新しいメンバーの入室を受け付けない
         this.password = password;
         this.ownerId = ownerId;
+        this.coHosts = {}; // userId -> 共同ホストに与えた権限の配列
         this.members = new Set();
         this.currentSong = null;
         this.songHistory = [];
+        this.voidedSongIds = []; // 無効にした曲（他のインスタンスから届いた曲を復活させないため）
+        this.chatHistory = []; // チャットとシステムメッセージ（古い順）
+        this.chatSlowMode = 0; // 低速モード: 1人あたりの送信間隔(秒)。0は無効
+        this.mutedUsers = []; // チャットを禁止したユーザー
         this.createdAt = new Date();
+        this.lastActivityAt = new Date(); // 自動削除の判定に使う最後の操作の時刻
     }
 
     addMember(userId) {
         this.members.add(userId);
+        this.lastActivityAt = new Date();
     }
 
+    // 部屋主・共同ホストが変わった場合はtrueを返す
     removeMember(userId) {
         this.members.delete(userId);
-        // 部屋主が退出した場合、次の人に権限を委譲
+        this.lastActivityAt = new Date();
+        this.readyPlayers.delete(userId);
+
+        let hostsChanged = false;
+        if (this.coHosts[userId]) {
+            delete this.coHosts[userId];
+            hostsChanged = true;
+        }
+        // 部屋主が退出した場合、共同ホスト（いなければ次の人）に権限を委譲
         if (this.ownerId === userId && this.members.size > 0) {
-            this.ownerId = Array.from(this.members)[0];
+            const memberIds = Array.from(this.members);
+            this.transferOwnership(memberIds.find(memberId => this.coHosts[memberId]) || memberIds[0]);
+            hostsChanged = true;
+        }
+        return hostsChanged;
+    }
+
+    transferOwnership(userId) {
+        this.ownerId = userId;
+        delete this.coHosts[userId];
+    }
+
+    // 部屋主は全ての権限を持つ
+    getPermissions(userId) {
+        if (this.ownerId === userId) {
+            return HOST_PERMISSIONS.slice();
         }
+        return this.coHosts[userId] || [];
+    }
+
+    hasPermission(userId, permission) {
+        return this.getPermissions(userId).includes(permission);
     }
 
     getMemberList() {
         return Array.from(this.members).map(userId => users.get(userId)).filter(user => user);
     }
+
+    // 全プレイヤーが準備完了か（プレイヤーがいない場合はfalse）
+    isAllPlayersReady() {
+        const players = this.getMemberList().filter(user => user.role === 'player');
+        return players.length > 0 && players.every(player => this.readyPlayers.has(player.id));
+    }
+
+    isEliminated(userId) {
+        return this.eliminated.some(entry => entry.userId === userId);
+    }
+
+    // そのロールの枠が埋まっているか（userId のユーザーは数えない）
+    isRoleFull(role, userId) {
+        const limit = role === 'player' ? this.maxPlayers : this.maxSpectators;
+        if (limit === null) {
+            return false;
+        }
+        return this.getMemberList().filter(user => user.id !== userId && user.role === role).length >= limit;
+    }
+
+    getInfo() {
+        return {
+            id: this.id,
+            name: this.name,
+            rule: this.rule,
+            scoring: this.scoring,
+            tieBreaker: this.tieBreaker,
+            teamMode: this.teamMode,
+            teamAssignments: this.teamAssignments,
+            teamPoints: this.teamPoints,
+            handicaps: this.handicaps,
+            ghost: this.ghost,
+            predictionConfig: this.predictionConfig,
+            readyCheck: this.readyCheck,
+            readyPlayers: Array.from(this.readyPlayers),
+            countdown: this.countdown,
+            finishTimeout: this.finishTimeout,
+            maxPlayers: this.maxPlayers,
+            maxSpectators: this.maxSpectators,
+            survival: this.survival,
+            eliminated: this.eliminated,
+            survivalWinner: this.survivalWinner,
+            locked: this.locked,
+            ownerId: this.ownerId,
+            coHosts: this.coHosts,
+            chatSlowMode: this.chatSlowMode,
+            mutedUsers: this.mutedUsers
+        };
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            name: this.name,
+            rule: this.rule,
+            scoring: this.scoring,
+            tieBreaker: this.tieBreaker,
+            teamMode: this.teamMode,
+            teamAssignments: this.teamAssignments,
+            teamPoints: this.teamPoints,
+            handicaps: this.handicaps,
+            ghost: this.ghost,
+            predictionConfig: this.predictionConfig,
+            prediction: this.prediction.toStorage(),
+            readyCheck: this.readyCheck,
+            readyPlayers: Array.from(this.readyPlayers),
+            countdown: this.countdown,
+            finishTimeout: this.finishTimeout,
+            maxPlayers: this.maxPlayers,
+            maxSpectators: this.maxSpectators,
+            survival: this.survival,
+            eliminated: this.eliminated,
+            survivalWinner: this.survivalWinner,
+            locked: this.locked,
+            password: this.password,
+            ownerId: this.ownerId,
+            coHosts: this.coHosts,
+            members: Array.from(this.members),
+            currentSong: this.currentSong ? this.currentSong.toStorage() : null,
+            songHistory: this.songHistory.map(song => song.toStorage()),
+            voidedSongIds: this.voidedSongIds,
+            chatHistory: this.chatHistory,
+            chatSlowMode: this.chatSlowMode,
+            mutedUsers: this.mutedUsers,
+            createdAt: this.createdAt,
+            lastActivityAt: this.lastActivityAt
+        };
+    }
+
+    static fromStorage(data) {
+        const room = new Room({
+            name: data.name,
+            rule: data.rule,
+            password: data.password,
+            ownerId: data.ownerId,
+            scoring: data.scoring,
+            tieBreaker: data.tieBreaker,
+            teamMode: data.teamMode,
+            predictionConfig: data.predictionConfig,
+            readyCheck: !!data.readyCheck,
+            finishTimeout: data.finishTimeout || null,
+            maxPlayers: data.maxPlayers || null,
+            maxSpectators: data.maxSpectators || null,
+            survival: data.survival || null
+        });
+        room.id = data.id;
+        room.eliminated = data.eliminated || [];
+        room.survivalWinner = data.survivalWinner || null;
+        room.teamAssignments = data.teamAssignments || {};
+        room.teamPoints = data.teamPoints || {};
+        room.handicaps = data.handicaps || {};
+        room.ghost = data.ghost || null;
+        room.prediction = data.prediction ? Prediction.fromStorage(data.prediction) : new Prediction();
+        room.readyPlayers = new Set(data.readyPlayers || []);
+        room.countdown = data.countdown || null;
+        room.members = new Set(data.members);
+        room.currentSong = data.currentSong ? Song.fromStorage(data.currentSong) : null;
+        room.songHistory = (data.songHistory || []).map(song => Song.fromStorage(song));
+        room.voidedSongIds = data.voidedSongIds || [];
+        room.chatHistory = data.chatHistory || [];
+        room.chatSlowMode = data.chatSlowMode || 0;
+        room.mutedUsers = data.mutedUsers || [];
+        room.coHosts = data.coHosts || {};
+        room.locked = !!data.locked;
+        room.createdAt = new Date(data.createdAt);
+        room.lastActivityAt = new Date(data.lastActivityAt || data.createdAt);
+        return room;
+    }
 }
 
 // ユーザーのデータ構造
@@ -67,10 +355,61 @@ class User {
         this.role = 'spectator'; // 'player' or 'spectator'
         this.roomId = null;
         this.points = 0;
+        this.coins = INITIAL_COINS; // 勝敗予想に使う仮想コイン
+        this.profileId = null; // 成績を記録するプロフィール（紐付いていない場合はnull）
         this.socketId = null;
         this.isOnline = true;
         this.joinedAt = new Date();
     }
+
+    toStorage() {
+        return {
+            id: this.id,
+            username: this.username,
+            type: this.type,
+            role: this.role,
+            roomId: this.roomId,
+            points: this.points,
+            coins: this.coins,
+            profileId: this.profileId,
+            joinedAt: this.joinedAt
+        };
+    }
+
+    static fromStorage(data) {
+        const user = new User(data.username, data.type);
+        user.id = data.id;
+        user.role = data.role;
+        user.roomId = data.roomId;
+        user.points = data.points;
+        user.coins = data.coins === undefined ? INITIAL_COINS : data.coins;
+        user.profileId = data.profileId || null;
+        user.isOnline = false;
+        user.joinedAt = new Date(data.joinedAt);
+        return user;
+    }
+}
+
+// 進行度は送られていない場合（null）を除いて大きい方を保持する
+function mergeProgress(a, b) {
+    if (a === null || a === undefined) {
+        return b === undefined ? null : b;
+    }
+    return b === null || b === undefined ? a : Math.max(a, b);
+}
+
+// スコア（type: 'normal' または 'ex'）に到達した時刻
+// 到達時刻を記録していない以前のデータは最後にスコアが伸びた時刻を使う
+function getReachedAt(score, type) {
+    return new Date(score[`${type}At`] || score.submittedAt);
+}
+
+// 他のインスタンスのスコアと統合した場合の到達時刻（高い方のスコアの時刻、同点なら早い方）
+function mergeReachedAt(existingScore, score, type) {
+    if (score[type] !== existingScore[type]) {
+        return getReachedAt(score[type] > existingScore[type] ? score : existingScore, type);
+    }
+    return new Date(Math.min(getReachedAt(existingScore, type), getReachedAt(score, type)));
 }
 
 // 曲のデータ構造
@@ -78,533 +417,3523 @@ class Song {
     constructor(roomId) {
         this.id = uuidv4();
         this.roomId = roomId;
-        this.scores = new Map(); // userId -> {normal, ex, finished}
+        this.scores = new Map(); // userId -> {normal, ex, finished, progress}
         this.startedAt = new Date();
         this.finishedAt = null;
         this.rankings = null;
+        this.teamRankings = null;
+        this.metadata = null; // 曲名・難易度など（最初に報告されたもの）
+        this.charts = new Map(); // userId -> 各プレイヤーが報告した譜面
+        this.chartMismatch = false; // プレイヤー間で報告された譜面が異なる
+        this.timeline = new Map(); // userId -> [[曲の開始からの経過時間(ms), 通常スコア, EXスコア], ...]
+    }
+
+    // スコアの推移を記録（リプレイ用）
+    recordTimeline(userId, score) {
+        if (!this.timeline.has(userId)) {
+            this.timeline.set(userId, []);
+        }
+        const elapsed = Math.max(0, new Date(score.submittedAt) - this.startedAt);
+        this.timeline.get(userId).push([elapsed, score.normal, score.ex]);
+    }
+
+    // 譜面情報を記録し、表示内容が変わった場合はtrueを返す
+    reportChart(userId, metadata) {
+        const previous = this.charts.get(userId);
+        if (previous && JSON.stringify(previous) === JSON.stringify(metadata)) {
+            return false;
+        }
+
+        this.charts.set(userId, metadata);
+        if (!this.metadata) {
+            this.metadata = metadata;
+        }
+
+        const keys = new Set(Array.from(this.charts.values()).map(getChartKey));
+        this.chartMismatch = keys.size > 1;
+        return true;
     }
 
-    addScore(userId, normalScore, exScore) {
+    // progress: 進行度(0〜1)。送られなかった場合はnull
+    addScore(userId, normalScore, exScore, progress = null) {
         const existingScore = this.scores.get(userId);
         
         if (existingScore) {
             // 既存スコアがある場合、より高いスコアを保持
             const newNormalScore = Math.max(existingScore.normal, normalScore);
             const newExScore = Math.max(existingScore.ex, exScore);
+            const improved = newNormalScore !== existingScore.normal || newExScore !== existingScore.ex;
+            const now = new Date();
             
             this.scores.set(userId, {
                 normal: newNormalScore,
                 ex: newExScore,
+                // 各スコアに到達した時刻（伸びた方のみ更新。同点時にどちらが先に到達したかの判定に使う）
+                normalAt: newNormalScore !== existingScore.normal ? now : getReachedAt(existingScore, 'normal'),
+                exAt: newExScore !== existingScore.ex ? now : getReachedAt(existingScore, 'ex'),
+                // 進行度も戻らないよう、大きい方を保持
+                progress: mergeProgress(existingScore.progress, progress),
                 finished: existingScore.finished,
-                submittedAt: new Date() // 最新の送信時刻で更新
+                finishedAt: existingScore.finishedAt,
+                // どちらかのスコアが伸びた時のみ更新
+                submittedAt: improved ? now : existingScore.submittedAt
             });
+            if (improved) {
+                this.recordTimeline(userId, this.scores.get(userId));
+            }
             
             console.log(`Updated score for ${userId}: normal ${existingScore.normal} -> ${newNormalScore}, ex ${existingScore.ex} -> ${newExScore}`);
         } else {
             // 新規スコア
+            const now = new Date();
             this.scores.set(userId, {
                 normal: normalScore,
                 ex: exScore,
+                normalAt: now,
+                exAt: now,
+                progress: progress,
                 finished: false,
-                submittedAt: new Date()
+                submittedAt: now
             });
+            this.recordTimeline(userId, this.scores.get(userId));
             
             console.log(`New score for ${userId}: normal ${normalScore}, ex ${exScore}`);
         }
     }
 
+    // 他のインスタンスで記録されたスコアを統合（高い方を保持）
+    mergeScore(userId, score, recordTimeline = true) {
+        const existingScore = this.scores.get(userId);
+        if (!existingScore) {
+            this.scores.set(userId, {
+                ...score,
+                normalAt: getReachedAt(score, 'normal'),
+                exAt: getReachedAt(score, 'ex'),
+                submittedAt: new Date(score.submittedAt)
+            });
+            if (recordTimeline) {
+                this.recordTimeline(userId, score);
+            }
+            return;
+        }
+
+        const improved = score.normal > existingScore.normal || score.ex > existingScore.ex;
+        const merged = {
+            normal: Math.max(existingScore.normal, score.normal),
+            ex: Math.max(existingScore.ex, score.ex),
+            normalAt: mergeReachedAt(existingScore, score, 'normal'),
+            exAt: mergeReachedAt(existingScore, score, 'ex'),
+            progress: mergeProgress(existingScore.progress, score.progress),
+            finished: existingScore.finished || score.finished,
+            finishedAt: existingScore.finishedAt || score.finishedAt,
+            submittedAt: improved ? new Date(score.submittedAt) : existingScore.submittedAt
+        };
+        if (existingScore.dnf || score.dnf) {
+            merged.dnf = true;
+        }
+        this.scores.set(userId, merged);
+        if (improved && recordTimeline) {
+            this.recordTimeline(userId, this.scores.get(userId));
+        }
+    }
+
+    merge(song) {
+        song.scores.forEach((score, userId) => this.mergeScore(userId, score, false));
+        song.charts.forEach((metadata, userId) => {
+            if (!this.charts.has(userId)) {
+                this.reportChart(userId, metadata);
+            }
+        });
+
+        // 推移は両方の記録をまとめて時刻順に並べ直す（経過時間はこの曲の開始時刻を基準にする）
+        const offset = song.startedAt - this.startedAt;
+        song.timeline.forEach((points, userId) => {
+            const shifted = points.map(([elapsed, normal, ex]) => [Math.max(0, elapsed + offset), normal, ex]);
+            const merged = (this.timeline.get(userId) || []).concat(shifted)
+                .sort((a, b) => a[0] - b[0] || a[1] - b[1] || a[2] - b[2])
+                .filter((point, index, all) => index === 0 || point.join() !== all[index - 1].join());
+            this.timeline.set(userId, merged);
+        });
+    }
+
+    // 時間切れで未完走とする（スコアがない場合は0点）
+    markDnf(userId) {
+        const score = this.scores.get(userId);
+        this.scores.set(userId, {
+            normal: score ? score.normal : 0,
+            ex: score ? score.ex : 0,
+            normalAt: score ? score.normalAt : new Date(),
+            exAt: score ? score.exAt : new Date(),
+            progress: score ? score.progress : null,
+            finished: true,
+            finishedAt: new Date(),
+            submittedAt: score ? score.submittedAt : new Date(),
+            dnf: true
+        });
+    }
+
+    isUserFinished(userId) {
+        const score = this.scores.get(userId);
+        return !!(score && score.finished);
+    }
+
     finishUser(userId) {
         const score = this.scores.get(userId);
-        if (score) {
+        if (score && !score.finished) {
             score.finished = true;
+            score.finishedAt = new Date();
         }
     }
 
-    calculateRankings(rule) {
+    // handicaps: userId -> ハンデ（score は補正後、rawScore は素点）
+    calculateRankings(rule, tieBreaker = 'none', handicaps = {}) {
+        const compare = (a, b) => {
+            // DNFのプレイヤーは完走したプレイヤーより下位
+            if (!!a.dnf !== !!b.dnf) {
+                return a.dnf ? 1 : -1;
+            }
+            if (b.score !== a.score) {
+                return b.score - a.score;
+            }
+            if (tieBreaker === 'otherScore') {
+                return rule === 'ex' ? b.normal - a.normal : b.ex - a.ex;
+            }
+            if (tieBreaker === 'submittedAt') {
+                // 順位に使うスコア（部屋のルール）に先に到達した方が上位
+                const type = rule === 'ex' ? 'ex' : 'normal';
+                return getReachedAt(a, type) - getReachedAt(b, type);
+            }
+            return 0;
+        };
+
         const players = Array.from(this.scores.entries())
             .map(([userId, data]) => {
                 const user = users.get(userId);
+                const rawScore = rule === 'ex' ? data.ex : data.normal;
+                const handicap = handicaps[userId] || null;
                 return {
                     userId,
                     username: user ? user.username : 'Unknown',
                     type: user ? user.type : 'unknown',
-                    score: rule === 'ex' ? data.ex : data.normal,
+                    score: applyHandicap(rawScore, handicap),
+                    rawScore: rawScore,
+                    handicap: handicap,
                     ...data
                 };
             })
-            .sort((a, b) => b.score - a.score);
-
-        this.rankings = players.map((player, index) => ({
-            ...player,
-            rank: index + 1
-        }));
+            .sort(compare);
+
+        // 同点(比較結果が0)のプレイヤーは同順位とする (例: 1, 1, 3)
+        this.rankings = [];
+        players.forEach((player, index) => {
+            const previous = this.rankings[index - 1];
+            const rank = previous && compare(previous, player) === 0 ? previous.rank : index + 1;
+            this.rankings.push({
+                ...player,
+                rank: rank
+            });
+        });
 
         return this.rankings;
     }
 
+    // プレイヤーが誰もいない場合（全員退出・観戦者に変更）は終了扱いにしない
     isAllPlayersFinished(room) {
         const players = room.getMemberList().filter(user => user.role === 'player');
-        return players.every(player => {
+        return players.length > 0 && players.every(player => {
             const score = this.scores.get(player.id);
             return score && score.finished;
         });
     }
-}
 
-// REST API エンドポイント
-
-// ユーザー接続
-app.post('/api/connect', (req, res) => {
-    const { username } = req.body;
-    
-    if (!username) {
-        return res.status(400).json({ error: 'Username is required' });
+    toStorage() {
+        return {
+            id: this.id,
+            roomId: this.roomId,
+            scores: Array.from(this.scores.entries()),
+            startedAt: this.startedAt,
+            finishedAt: this.finishedAt,
+            rankings: this.rankings,
+            teamRankings: this.teamRankings,
+            metadata: this.metadata,
+            charts: Array.from(this.charts.entries()),
+            chartMismatch: this.chartMismatch,
+            timeline: Array.from(this.timeline.entries())
+        };
     }
 
-    const user = new User(username, 'api');
-    users.set(user.id, user);
+    static fromStorage(data) {
+        const song = new Song(data.roomId);
+        song.id = data.id;
+        song.scores = new Map(data.scores.map(([userId, score]) => [userId, {
+            ...score,
+            normalAt: getReachedAt(score, 'normal'),
+            exAt: getReachedAt(score, 'ex'),
+            submittedAt: new Date(score.submittedAt)
+        }]));
+        song.startedAt = new Date(data.startedAt);
+        song.finishedAt = data.finishedAt ? new Date(data.finishedAt) : null;
+        song.rankings = data.rankings;
+        song.teamRankings = data.teamRankings || null;
+        song.metadata = data.metadata || null;
+        song.charts = new Map(data.charts || []);
+        song.chartMismatch = !!data.chartMismatch;
+        song.timeline = new Map(data.timeline || []);
+        return song;
+    }
+}
 
-    res.json({
-        userId: user.id,
-        username: user.username
-    });
-});
+// 曲の情報
+// 譜面IDがあればそれで、なければ曲名+難易度で同じ譜面かを判定する
+function getChartKey(metadata) {
+    if (metadata.chartId !== undefined) {
+        return `id:${metadata.chartId}`;
+    }
+    return `title:${metadata.title || ''}|${metadata.difficulty || ''}`;
+}
 
-// 部屋作成
-app.post('/api/rooms', (req, res) => {
-    const { name, rule, password, userId } = req.body;
-    
-    if (!name || !rule || !userId) {
-        return res.status(400).json({ error: 'Missing required fields' });
+// クライアントから受け取った曲の情報を検証・整形する（なしはnull、不正な場合はfalse）
+function normalizeSongMetadata(data) {
+    if (data === undefined || data === null) {
+        return null;
+    }
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        return false;
     }
 
-    const user = users.get(userId);
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
+    const isText = (value, maxLength) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+    const metadata = {};
+
+    if (data.title !== undefined) {
+        if (!isText(data.title, 200)) return false;
+        metadata.title = sanitizeMessage(data.title);
+    }
+    if (data.difficulty !== undefined) {
+        if (!isText(data.difficulty, 30)) return false;
+        metadata.difficulty = sanitizeMessage(data.difficulty);
+    }
+    if (data.level !== undefined) {
+        if (!(typeof data.level === 'number' && Number.isFinite(data.level)) && !isText(data.level, 10)) return false;
+        metadata.level = typeof data.level === 'string' ? sanitizeMessage(data.level) : data.level;
+    }
+    if (data.chartId !== undefined) {
+        if (!(typeof data.chartId === 'number' && Number.isFinite(data.chartId)) && !isText(data.chartId, 100)) return false;
+        metadata.chartId = sanitizeMessage(String(data.chartId));
+    }
+    if (data.maxExScore !== undefined) {
+        if (!Number.isInteger(data.maxExScore) || data.maxExScore <= 0) return false;
+        metadata.maxExScore = data.maxExScore;
     }
 
-    const room = new Room(name, rule, password, userId);
-    room.addMember(userId);
-    user.roomId = room.id;
-    // API経由のユーザーは初期でプレイヤー、Web経由は観戦者
-    user.role = user.type === 'api' ? 'player' : 'spectator';
-    
-    rooms.set(room.id, room);
+    return Object.keys(metadata).length > 0 ? metadata : null;
+}
 
-    // WebSocketクライアントに通知
-    io.emit('roomCreated', {
-        id: room.id,
-        name: room.name,
-        rule: room.rule,
-        memberCount: room.members.size,
-        hasPassword: !!room.password
-    });
+function getSongInfo(song) {
+    return {
+        songId: song.id,
+        metadata: song.metadata,
+        chartMismatch: song.chartMismatch
+    };
+}
 
-    res.json({ roomId: room.id });
-});
+// 曲のスコアの推移（リプレイ用）
+// timeline は [曲の開始からの経過時間(ms), 通常スコア, EXスコア] の配列で、スコアが伸びた時点のみを記録している
+function getSongTimeline(room, song) {
+    const rankings = song.rankings || song.calculateRankings(room.rule, room.tieBreaker, room.handicaps);
+    const lastElapsed = Math.max(0, ...Array.from(song.timeline.values()).map(points => points.length > 0 ? points[points.length - 1][0] : 0));
 
-// 部屋一覧取得
-app.get('/api/rooms', (req, res) => {
-    const roomList = Array.from(rooms.values()).map(room => ({
-        id: room.id,
-        name: room.name,
+    return {
+        songId: song.id,
         rule: room.rule,
-        memberCount: room.members.size,
-        hasPassword: !!room.password,
-        createdAt: room.createdAt
-    }));
+        metadata: song.metadata,
+        chartMismatch: song.chartMismatch,
+        startedAt: song.startedAt,
+        finishedAt: song.finishedAt,
+        duration: song.finishedAt ? Math.max(lastElapsed, new Date(song.finishedAt) - song.startedAt) : lastElapsed,
+        players: rankings.map(ranking => ({
+            userId: ranking.userId,
+            username: ranking.username,
+            type: ranking.type,
+            team: room.teamAssignments[ranking.userId] || null,
+            rank: ranking.rank,
+            score: ranking.score,
+            timeline: song.timeline.get(ranking.userId) || []
+        }))
+    };
+}
 
-    res.json(roomList);
-});
+// 曲の情報を記録して部屋に通知
+function reportSongMetadata(room, user, metadata) {
+    if (!metadata || !room.currentSong.reportChart(user.id, metadata)) {
+        return;
+    }
 
-// 部屋入室
-app.post('/api/rooms/:roomId/join', (req, res) => {
-    const { roomId } = req.params;
-    const { userId, password } = req.body;
+    if (room.currentSong.chartMismatch) {
+        console.log(`Chart mismatch in room ${room.name}: ${user.username} reported ${getChartKey(metadata)}`);
+    }
 
-    const room = rooms.get(roomId);
-    const user = users.get(userId);
+    io.to(`room_${room.id}`).emit('songInfoUpdated', getSongInfo(room.currentSong));
+}
 
-    if (!room) {
-        return res.status(404).json({ error: 'Room not found' });
+// 現在の状態を保存用のデータに変換
+// Webクライアントのユーザーはソケット接続と共に消えるため保存しない
+function createSnapshot() {
+    return {
+        savedAt: new Date(),
+        users: Array.from(users.values())
+            .filter(user => user.type === 'api')
+            .map(user => user.toStorage()),
+        rooms: Array.from(rooms.values()).map(room => room.toStorage()),
+        sessions: Array.from(sessions.entries())
+            .filter(([tokenHash, userId]) => users.has(userId) && users.get(userId).type === 'api'),
+        tournaments: Array.from(tournaments.values()).map(tournament => tournament.toStorage()),
+        profiles: Array.from(profiles.values()).map(profile => profile.toStorage()),
+        songRecords: Array.from(songRecords.values()),
+        webhooks: Array.from(webhooks.values()).map(webhook => webhook.toStorage())
+    };
+}
+
+// 変更したデータを他のインスタンスと共有し、保存を予約（短時間の連続更新はまとめて1回保存）
+function scheduleSave(...entities) {
+    entities.forEach(shareEntity);
+
+    if (saveTimer) {
+        return;
     }
 
-    if (!user) {
-        return res.status(404).json({ error: 'User not found' });
+    saveTimer = setTimeout(() => {
+        saveTimer = null;
+        saveNow();
+    }, SAVE_DELAY);
+}
+
+function saveNow() {
+    if (saveTimer) {
+        clearTimeout(saveTimer);
+        saveTimer = null;
     }
 
-    if (room.password && room.password !== password) {
-        return res.status(403).json({ error: 'Invalid password' });
+    try {
+        storage.save(createSnapshot());
+    } catch (error) {
+        console.error('Failed to save data:', error);
     }
+}
 
-    // 既に他の部屋にいる場合は退出
-    if (user.roomId) {
-        const oldRoom = rooms.get(user.roomId);
-        if (oldRoom) {
-            oldRoom.removeMember(userId);
-            io.to(`room_${user.roomId}`).emit('memberLeft', {
-                userId: userId,
-                username: user.username
-            });
-        }
+// 複数インスタンスでの状態共有
+// 各インスタンスは手元のMapで状態を持ち、変更したデータをストア経由で他のインスタンスに送る
+// ファイル保存とは異なり、Webクライアントのユーザーや接続状態も共有する
+function shareEntity(entity) {
+    if (entity instanceof Room) {
+        stateStore.save('rooms', entity.id, entity.toStorage());
+    } else if (entity instanceof User) {
+        stateStore.save('users', entity.id, {
+            ...entity.toStorage(),
+            isOnline: entity.isOnline,
+            socketId: entity.socketId
+        });
+    } else if (entity instanceof Tournament) {
+        stateStore.save('tournaments', entity.id, entity.toStorage());
+    } else if (entity instanceof PlayerProfile) {
+        stateStore.save('profiles', entity.id, entity.toStorage());
+    } else if (entity instanceof Webhook) {
+        stateStore.save('webhooks', entity.id, entity.toStorage());
     }
+}
 
-    room.addMember(userId);
-    user.roomId = roomId;
-    // API経由のユーザーは初期でプレイヤー、Web経由は観戦者
-    user.role = user.type === 'api' ? 'player' : 'spectator';
+// 起動時、他のインスタンスがまだない場合は保存済みのデータを共有する
+function shareAll() {
+    users.forEach(shareEntity);
+    sessions.forEach((userId, tokenHash) => stateStore.save('sessions', tokenHash, [tokenHash, userId]));
+    rooms.forEach(shareEntity);
+    tournaments.forEach(shareEntity);
+    profiles.forEach(shareEntity);
+    songRecords.forEach(record => stateStore.save('songRecords', record.id, record));
+    webhooks.forEach(shareEntity);
+}
 
-    // WebSocketクライアントに通知
-    io.to(`room_${roomId}`).emit('memberJoined', {
-        userId: user.id,
-        username: user.username,
-        type: user.type,
-        role: user.role,
-        points: user.points
+// 他のインスタンスでの変更を反映（data が null の場合は削除）
+// 処理中のリクエストが参照しているオブジェクトはそのまま使い、内容のみを置き換える
+function applySharedChange(collection, id, data) {
+    switch (collection) {
+        case 'users': {
+            if (!data) {
+                users.delete(id);
+                return;
+            }
+            const user = Object.assign(User.fromStorage(data), { isOnline: data.isOnline, socketId: data.socketId });
+            if (users.has(id)) {
+                Object.assign(users.get(id), user);
+            } else {
+                users.set(id, user);
+            }
+            return;
+        }
+        case 'sessions':
+            if (data) {
+                sessions.set(data[0], data[1]);
+            } else {
+                sessions.delete(id);
+            }
+            return;
+        case 'rooms': {
+            if (!data) {
+                rooms.delete(id);
+                clearRankingUpdates(id);
+                return;
+            }
+            const room = Room.fromStorage(data);
+            const localRoom = rooms.get(id);
+            if (localRoom) {
+                mergeRoomSongs(room, localRoom);
+                // スコアは部屋とは別に共有されるため、最後の操作の時刻は新しい方を使う
+                if (localRoom.lastActivityAt > room.lastActivityAt) {
+                    room.lastActivityAt = localRoom.lastActivityAt;
+                }
+                // チャットはメッセージごとに共有しているため、手元の履歴を使う（行き違いで消えないように）
+                room.chatHistory = localRoom.chatHistory;
+                Object.assign(localRoom, room);
+            } else {
+                rooms.set(id, room);
+            }
+            return;
+        }
+        case 'tournaments': {
+            if (!data) {
+                tournaments.delete(id);
+                return;
+            }
+            const tournament = Tournament.fromStorage(data);
+            if (tournaments.has(id)) {
+                Object.assign(tournaments.get(id), tournament);
+            } else {
+                tournaments.set(id, tournament);
+            }
+            return;
+        }
+        case 'profiles':
+            if (data) {
+                profiles.set(id, PlayerProfile.fromStorage(data));
+            } else {
+                profiles.delete(id);
+            }
+            return;
+        case 'songRecords':
+            if (data) {
+                songRecords.set(id, data);
+            } else {
+                songRecords.delete(id);
+            }
+            return;
+        case 'webhooks':
+            if (data) {
+                webhooks.set(id, Webhook.fromStorage(data));
+            } else {
+                webhooks.delete(id);
+            }
+            return;
+    }
+}
+
+// 受け取った部屋のデータに、手元にしかない曲の状態を統合する
+// スコアは通知の行き違いがあるため、部屋全体ではなく曲ごとに統合する
+function mergeRoomSongs(room, localRoom) {
+    const historyIds = new Set(room.songHistory.map(song => song.id));
+    localRoom.songHistory.forEach(song => {
+        if (!historyIds.has(song.id)) {
+            room.songHistory.push(song);
+        }
     });
+    room.songHistory.sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt));
 
-    res.json({ success: true });
-});
+    room.voidedSongIds = Array.from(new Set([...localRoom.voidedSongIds, ...room.voidedSongIds])).slice(-MAX_VOIDED_SONGS);
 
-// 部屋退室
-app.post('/api/rooms/:roomId/leave', (req, res) => {
-    const { roomId } = req.params;
-    const { userId } = req.body;
+    const remoteSong = room.currentSong;
+    room.currentSong = localRoom.currentSong;
+    if (room.currentSong && isSongClosed(room, room.currentSong.id)) {
+        room.currentSong = null;
+    }
+    if (remoteSong) {
+        mergeCurrentSong(room, remoteSong);
+    }
+}
 
-    const room = rooms.get(roomId);
-    const user = users.get(userId);
+// 終了済み・無効にした曲か
+function isSongClosed(room, songId) {
+    return room.songHistory.some(finished => finished.id === songId) || room.voidedSongIds.includes(songId);
+}
 
-    if (!room || !user) {
-        return res.status(404).json({ error: 'Room or user not found' });
+// 他のインスタンスの現在の曲を統合する（終了済み・無効にした曲の場合はnull）
+// 同時に別々の曲が始まった場合は先に始まった方に統一し、スコアをまとめる
+function mergeCurrentSong(room, song) {
+    if (isSongClosed(room, song.id)) {
+        return null;
     }
 
-    room.removeMember(userId);
-    user.roomId = null;
-    user.role = 'spectator';
+    const current = room.currentSong;
+    if (current && current.id === song.id) {
+        current.merge(song);
+        return current;
+    }
 
-    // WebSocketクライアントに通知
-    io.to(`room_${roomId}`).emit('memberLeft', {
+    const isEarlier = !current || song.startedAt < current.startedAt ||
+        (song.startedAt.getTime() === current.startedAt.getTime() && song.id < current.id);
+    if (!isEarlier) {
+        current.merge(song);
+        return current;
+    }
+
+    if (current) {
+        song.merge(current);
+    }
+    room.currentSong = song;
+    return song;
+}
+
+// スコア・譜面の変更を他のインスタンスに送る
+// スコアは頻繁に届くため、部屋全体ではなく変更したプレイヤーの分のみを送る
+// スコアの送信・受信は部屋の操作として自動削除までの時間を延ばす
+function shareScore(room, userId) {
+    const song = room.currentSong;
+    room.lastActivityAt = new Date();
+    stateStore.publish({
+        type: 'score',
+        roomId: room.id,
+        songId: song.id,
+        startedAt: song.startedAt,
         userId: userId,
-        username: user.username
+        score: song.scores.get(userId) || null,
+        chart: song.charts.get(userId) || null
     });
+}
 
-    // 自動削除は行わない
-    console.log(`User ${user.username} left room ${room.name}. Room members: ${room.members.size}`);
+function applySharedScore(message) {
+    const room = rooms.get(message.roomId);
+    if (!room) {
+        return;
+    }
 
-    res.json({ success: true });
-});
+    const received = new Song(room.id);
+    received.id = message.songId;
+    received.startedAt = new Date(message.startedAt);
+    const song = mergeCurrentSong(room, received);
+    if (!song) {
+        return;
+    }
+    room.lastActivityAt = new Date();
 
-// スコア送信
-app.post('/api/rooms/:roomId/score', (req, res) => {
-    const { roomId } = req.params;
-    const { userId, normalScore, exScore } = req.body;
+    if (message.score) {
+        song.mergeScore(message.userId, message.score);
+    }
+    if (message.chart) {
+        song.reportChart(message.userId, message.chart);
+    }
 
-    const room = rooms.get(roomId);
-    const user = users.get(userId);
+    batchUpdateRankings(room.id);
+    scheduleFinishTimeout(room);
+    if (message.score && message.score.finished) {
+        tryFinishSong(room.id);
+    }
+}
 
-    if (!room || !user || user.roomId !== roomId) {
-        return res.status(404).json({ error: 'Room or user not found' });
+// 他のインスタンスが送信したランキングに手元のスコアが全て含まれていれば、こちらからは送信しない
+function applySharedRankings(message) {
+    const room = rooms.get(message.roomId);
+    if (!room || !room.currentSong || room.currentSong.id !== message.songId) {
+        return;
     }
 
-    if (user.role !== 'player') {
-        return res.status(403).json({ error: 'Only players can submit scores' });
+    // 進行度だけが進んだ場合も、送信済みの順位表の予測スコアが古くなるため自分で更新する
+    const sent = new Map(message.scores.map(([userId, normal, ex, progress]) => [userId, { normal, ex, progress }]));
+    const included = Array.from(room.currentSong.scores).every(([userId, score]) => {
+        const sentScore = sent.get(userId);
+        const hasProgress = score.progress !== null && score.progress !== undefined;
+        return sentScore && sentScore.normal >= score.normal && sentScore.ex >= score.ex &&
+            (!hasProgress || (sentScore.progress !== null && sentScore.progress >= score.progress));
+    });
+    if (included) {
+        pendingRankings.delete(room.id);
     }
+}
 
-    // 新しい曲の開始または既存曲へのスコア追加
-    if (!room.currentSong) {
-        room.currentSong = new Song(roomId);
+// 他のインスタンスで投稿・削除されたチャットのメッセージを履歴に反映する
+// 部屋のメンバーへの通知は Socket.IO のアダプター経由で届く
+function applySharedChatMessage(message) {
+    const room = rooms.get(message.roomId);
+    if (!room) {
+        return;
     }
 
-    room.currentSong.addScore(userId, normalScore, exScore);
+    if (message.type === 'chatDeleted') {
+        room.chatHistory = room.chatHistory.filter(entry => entry.id !== message.messageId);
+        return;
+    }
+    if (room.chatHistory.some(entry => entry.id === message.message.id)) {
+        return;
+    }
+    pushChatMessage(room, message.message);
+    // チャットの投稿は部屋の操作として自動削除までの時間を延ばす
+    if (message.message.type === 'user') {
+        room.lastActivityAt = new Date();
+    }
+}
+
+stateStore.onChange(applySharedChange);
+stateStore.onMessage(message => {
+    if (message.type === 'score') {
+        applySharedScore(message);
+    } else if (message.type === 'rankings') {
+        applySharedRankings(message);
+    } else if (message.type === 'chat' || message.type === 'chatDeleted') {
+        applySharedChatMessage(message);
+    }
+});
+
+// 起動時に保存済みデータを復元
+function loadSnapshot() {
+    const snapshot = storage.load();
+    if (!snapshot) {
+        return;
+    }
+
+    (snapshot.users || []).forEach(data => {
+        const user = User.fromStorage(data);
+        users.set(user.id, user);
+    });
+
+    (snapshot.sessions || []).forEach(([tokenHash, userId]) => {
+        if (users.has(userId)) {
+            sessions.set(tokenHash, userId);
+        }
+    });
+
+    (snapshot.rooms || []).forEach(data => {
+        const room = Room.fromStorage(data);
+
+        // 復元できなかったメンバー(Webクライアント等)は部屋から外す
+        Array.from(room.members).forEach(userId => {
+            const user = users.get(userId);
+            if (!user || user.roomId !== room.id) {
+                room.removeMember(userId);
+            }
+        });
+
+        rooms.set(room.id, room);
+    });
+
+    (snapshot.tournaments || []).forEach(data => {
+        const tournament = Tournament.fromStorage(data);
+        tournaments.set(tournament.id, tournament);
+    });
+
+    (snapshot.profiles || []).forEach(data => {
+        const profile = PlayerProfile.fromStorage(data);
+        profiles.set(profile.id, profile);
+    });
+
+    (snapshot.songRecords || []).forEach(record => {
+        songRecords.set(record.id, record);
+    });
+
+    // 送信中だった通知は再起動後には再送しない
+    (snapshot.webhooks || []).forEach(data => {
+        const webhook = Webhook.fromStorage(data);
+        if (webhook.roomId && !rooms.has(webhook.roomId)) {
+            return;
+        }
+        webhook.deliveries.forEach(delivery => {
+            if (delivery.status === 'pending') {
+                delivery.status = 'failed';
+                delivery.nextRetryAt = null;
+            }
+        });
+        webhooks.set(webhook.id, webhook);
+    });
+
+    // 存在しない部屋に所属しているユーザーを戻す
+    users.forEach(user => {
+        if (user.roomId && !rooms.has(user.roomId)) {
+            user.roomId = null;
+            user.role = 'spectator';
+        }
+        if (user.profileId && !profiles.has(user.profileId)) {
+            user.profileId = null;
+        }
+    });
+
+    console.log(`Restored ${rooms.size} rooms, ${users.size} users and ${tournaments.size} tournaments from storage`);
+}
+
+// セッショントークン
+// トークンそのものは保持せず、ハッシュ値のみをユーザーIDと紐付ける
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function createSession(userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const tokenHash = hashToken(token);
+    sessions.set(tokenHash, userId);
+    stateStore.save('sessions', tokenHash, [tokenHash, userId]);
+    return token;
+}
+
+function getUserByToken(token) {
+    if (!token || typeof token !== 'string') {
+        return null;
+    }
+    const userId = sessions.get(hashToken(token));
+    return userId ? users.get(userId) || null : null;
+}
+
+function deleteSessions(userId) {
+    sessions.forEach((sessionUserId, tokenHash) => {
+        if (sessionUserId === userId) {
+            sessions.delete(tokenHash);
+            stateStore.remove('sessions', tokenHash);
+        }
+    });
+}
+
+// プレイヤーのプロフィール（長期の成績）
+// ユーザー名ごとに1つ作成し、作成時に発行したプレイヤートークンで本人を確認する
+// 戻り値は { profile, playerToken }（新規作成時のみトークンを含む）
+// 別の人が使用中のユーザー名でトークンが一致しない場合は profile が null（成績を記録しない）
+function linkProfile(username, playerToken) {
+    const key = getUsernameKey(username);
+    const profile = Array.from(profiles.values()).find(candidate => candidate.key === key);
+
+    if (!profile) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const created = new PlayerProfile(username, hashToken(token));
+        profiles.set(created.id, created);
+        scheduleSave(created);
+        return { profile: created, playerToken: token };
+    }
+
+    if (playerToken && profile.tokenHash === hashToken(playerToken)) {
+        if (profile.username !== username) {
+            profile.username = username;
+            scheduleSave(profile);
+        }
+        return { profile, playerToken: null };
+    }
+
+    return { profile: null, playerToken: null };
+}
+
+// Authorizationヘッダー(Bearer)のトークンからユーザーを特定する
+function requireSession(req, res, next) {
+    const match = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i);
+    const user = getUserByToken(match && match[1]);
+
+    if (!user) {
+        return res.status(401).json({ error: 'Invalid or missing session token' });
+    }
+
+    markOnline(user);
+    req.user = user;
+    next();
+}
+
+// リクエストボディをスキーマで検証・整形する
+function validateBody(schema) {
+    return (req, res, next) => {
+        const result = validate(schema, req.body);
+        if (result.error) {
+            return res.status(400).json({ error: result.error });
+        }
+        req.body = result.value;
+        next();
+    };
+}
+
+function parseTrustProxy(value) {
+    if (!value || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    if (/^\d+$/.test(value)) {
+        return Number(value);
+    }
+    return value.split(',').map(address => address.trim());
+}
+
+// WebSocketの接続元のIPアドレス（req.ip と同じく trust proxy の設定に従う）
+function getSocketAddress(socket) {
+    const { address, headers } = socket.handshake;
+    return proxyaddr({ connection: { remoteAddress: address }, socket: { remoteAddress: address }, headers }, app.get('trust proxy fn'));
+}
+
+// 回数制限を超えた場合は再試行までの秒数を返す（制限内は0）
+function checkRateLimit(type, userId, ip) {
+    const limiters = rateLimiters[type];
+    if (!limiters.user.consume(userId)) {
+        return limiters.user.getRetryAfter(userId) || 1;
+    }
+    if (!limiters.ip.consume(ip)) {
+        return limiters.ip.getRetryAfter(ip) || 1;
+    }
+    return 0;
+}
+
+// オンライン状態に戻し、切断後の削除予定を取り消す
+function markOnline(user) {
+    if (disconnectTimers.has(user.id)) {
+        clearTimeout(disconnectTimers.get(user.id));
+        disconnectTimers.delete(user.id);
+    }
+
+    if (!user.isOnline) {
+        user.isOnline = true;
+        shareEntity(user);
+        if (user.roomId) {
+            io.to(`room_${user.roomId}`).emit('memberStatusChanged', {
+                userId: user.id,
+                username: user.username,
+                isOnline: true
+            });
+        }
+    }
+}
+
+// 猶予時間を過ぎても再接続しなかったユーザーを部屋から外す
+function cleanupDisconnectedUser(userId) {
+    disconnectTimers.delete(userId);
+
+    // 他のインスタンスで再接続している場合も isOnline が true になる
+    const user = users.get(userId);
+    if (!user || user.isOnline) {
+        return;
+    }
+
+    const room = user.roomId ? rooms.get(user.roomId) : null;
+    if (user.roomId) {
+        if (room) {
+            if (room.removeMember(userId)) {
+                emitHostsChanged(room);
+            }
+
+            io.to(`room_${user.roomId}`).emit('memberLeft', {
+                userId: userId,
+                username: user.username
+            });
+            notifyWebhooks('memberLeft', room, { userId: userId, username: user.username, reason: 'disconnected' });
+            postSystemMessage(room, 'memberLeft', `${user.username} が退室しました`);
+
+            // 空になった部屋は一定時間後に expireIdleRooms で削除する
+            console.log(`User ${user.username} left room ${room.name}. Room members: ${room.members.size}`);
+        }
+    }
+
+    // 残りのプレイヤーが全員終了していれば曲を確定
+    if (room) {
+        tryFinishSong(room.id);
+    }
+
+    // Webクライアントユーザーは完全に削除
+    if (user.type === 'web') {
+        users.delete(userId);
+        lastChatTimes.delete(userId);
+        stateStore.remove('users', userId);
+        deleteSessions(userId);
+        scheduleSave(room);
+    } else {
+        scheduleSave(room, user);
+    }
+}
+
+// 新しいメンバーとして受け入れられるか（不可の場合はエラーメッセージ）
+// 既に参加している場合（再入室）はロック・上限の対象外
+function getJoinError(room, user) {
+    if (room.members.has(user.id)) {
+        return null;
+    }
+    if (room.locked) {
+        return 'Room is locked';
+    }
+    // API経由のユーザーは初期でプレイヤー、Web経由は観戦者
+    if (room.isRoleFull(user.type === 'api' ? 'player' : 'spectator', user.id)) {
+        return 'Room is full';
+    }
+    return null;
+}
+
+// 部屋情報を送信
+function emitJoinedRoom(socket, room) {
+    socket.emit('joinedRoom', {
+        room: room.getInfo(),
+        members: room.getMemberList(),
+        currentSong: room.currentSong,
+        songHistory: room.songHistory,
+        prediction: room.prediction.getSummary(),
+        chatHistory: room.chatHistory
+    });
+}
+
+// REST API エンドポイント
+
+// ユーザー接続
+app.post('/api/connect', validateBody(REST_SCHEMAS.connect), (req, res) => {
+    const { username } = req.body;
+    
+    if (!username) {
+        return res.status(400).json({ error: 'Username is required' });
+    }
+
+    const user = new User(username, 'api');
+    const { profile, playerToken } = linkProfile(username, req.body.playerToken);
+    user.profileId = profile ? profile.id : null;
+    users.set(user.id, user);
+    const token = createSession(user.id);
+    scheduleSave(user);
+
+    res.json({
+        userId: user.id,
+        username: user.username,
+        token: token,
+        profileId: user.profileId,
+        playerToken: playerToken
+    });
+});
+
+// セッション再開（再起動・通信断の後に所属部屋やロールを確認する）
+app.post('/api/resume', requireSession, (req, res) => {
+    const user = req.user;
+    const room = user.roomId ? rooms.get(user.roomId) : null;
+
+    res.json({
+        userId: user.id,
+        username: user.username,
+        roomId: room ? room.id : null,
+        role: user.role,
+        points: user.points,
+        isOwner: room ? room.ownerId === user.id : false,
+        permissions: room ? room.getPermissions(user.id) : []
+    });
+});
+
+// 部屋作成
+app.post('/api/rooms', requireSession, validateBody(REST_SCHEMAS.createRoom), (req, res) => {
+    const { name, rule, password } = req.body;
+    const user = req.user;
+    const userId = user.id;
+    
+    if (!name || !rule) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    const scoring = normalizeScoringConfig(req.body.scoring);
+    if (!scoring) {
+        return res.status(400).json({ error: 'Invalid scoring config' });
+    }
+
+    const tieBreaker = req.body.tieBreaker || 'none';
+    if (!TIE_BREAKERS.includes(tieBreaker)) {
+        return res.status(400).json({ error: 'Invalid tie breaker' });
+    }
+
+    const teamMode = normalizeTeamConfig(req.body.teamMode);
+    if (teamMode === false) {
+        return res.status(400).json({ error: 'Invalid team config' });
+    }
+
+    const predictionConfig = normalizePredictionConfig(req.body.prediction, rule);
+    if (!predictionConfig) {
+        return res.status(400).json({ error: 'Invalid prediction config' });
+    }
+
+    const finishTimeout = normalizeFinishTimeoutConfig(req.body.finishTimeout);
+    if (finishTimeout === false) {
+        return res.status(400).json({ error: 'Invalid finish timeout config' });
+    }
+
+    const survival = normalizeSurvivalConfig(req.body.survival);
+    if (survival === false) {
+        return res.status(400).json({ error: 'Invalid survival config' });
+    }
+
+    const room = new Room({
+        name,
+        rule,
+        password,
+        ownerId: userId,
+        scoring,
+        tieBreaker,
+        teamMode,
+        predictionConfig,
+        readyCheck: !!req.body.readyCheck,
+        finishTimeout,
+        maxPlayers: req.body.maxPlayers || null,
+        maxSpectators: req.body.maxSpectators || null,
+        survival
+    });
+    room.addMember(userId);
+    user.roomId = room.id;
+    // API経由のユーザーは初期でプレイヤー、Web経由は観戦者
+    user.role = user.type === 'api' ? 'player' : 'spectator';
+    
+    rooms.set(room.id, room);
+    scheduleSave(room, user);
+
+    // WebSocketクライアントに通知
+    io.emit('roomCreated', {
+        id: room.id,
+        name: room.name,
+        rule: room.rule,
+        scoring: room.scoring,
+        tieBreaker: room.tieBreaker,
+        teamMode: room.teamMode,
+        readyCheck: room.readyCheck,
+        memberCount: room.members.size,
+        maxPlayers: room.maxPlayers,
+        maxSpectators: room.maxSpectators,
+        hasPassword: !!room.password
+    });
+    notifyWebhooks('roomCreated', room, room.getInfo());
+
+    res.json({ roomId: room.id });
+});
+
+// 部屋一覧取得
+app.get('/api/rooms', (req, res) => {
+    const roomList = Array.from(rooms.values()).map(room => ({
+        id: room.id,
+        name: room.name,
+        rule: room.rule,
+        scoring: room.scoring,
+        tieBreaker: room.tieBreaker,
+        teamMode: room.teamMode,
+        memberCount: room.members.size,
+        playerCount: room.getMemberList().filter(user => user.role === 'player').length,
+        maxPlayers: room.maxPlayers,
+        maxSpectators: room.maxSpectators,
+        locked: room.locked,
+        hasPassword: !!room.password,
+        createdAt: room.createdAt,
+        lastActivityAt: room.lastActivityAt
+    }));
+
+    res.json(roomList);
+});
+
+// 部屋入室
+app.post('/api/rooms/:roomId/join', requireSession, validateBody(REST_SCHEMAS.joinRoom), (req, res) => {
+    const { roomId } = req.params;
+    const { password } = req.body;
+    const user = req.user;
+    const userId = user.id;
+
+    const room = rooms.get(roomId);
+
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.password && room.password !== password) {
+        return res.status(403).json({ error: 'Invalid password' });
+    }
+
+    const joinError = getJoinError(room, user);
+    if (joinError) {
+        return res.status(409).json({ error: joinError });
+    }
+
+    // 既に他の部屋にいる場合は退出（同じ部屋に入り直す場合は部屋主・共同ホストを維持する）
+    const oldRoom = user.roomId && user.roomId !== roomId ? rooms.get(user.roomId) : null;
+    if (oldRoom) {
+        if (oldRoom.removeMember(userId)) {
+            emitHostsChanged(oldRoom);
+        }
+        io.to(`room_${user.roomId}`).emit('memberLeft', {
+            userId: userId,
+            username: user.username
+        });
+        notifyWebhooks('memberLeft', oldRoom, { userId: userId, username: user.username, reason: 'left' });
+        postSystemMessage(oldRoom, 'memberLeft', `${user.username} が退室しました`);
+    }
+
+    room.addMember(userId);
+    user.roomId = roomId;
+    // API経由のユーザーは初期でプレイヤー、Web経由は観戦者（サバイバルで脱落したプレイヤーは観戦者）
+    user.role = user.type === 'api' && !room.isEliminated(userId) ? 'player' : 'spectator';
+    scheduleSave(oldRoom, room, user);
+
+    // WebSocketクライアントに通知
+    io.to(`room_${roomId}`).emit('memberJoined', {
+        userId: user.id,
+        username: user.username,
+        type: user.type,
+        role: user.role,
+        points: user.points,
+        coins: user.coins
+    });
+    notifyWebhooks('memberJoined', room, { userId: user.id, username: user.username, type: user.type, role: user.role });
+    postSystemMessage(room, 'memberJoined', `${user.username} が入室しました`);
 
-    // 即座にレスポンスを返す（軽量化）
     res.json({ success: true });
+});
 
-    // WebSocket通知をバッチ処理で間引く
-    batchUpdateRankings(roomId);
+// 部屋退室
+app.post('/api/rooms/:roomId/leave', requireSession, (req, res) => {
+    const { roomId } = req.params;
+    const user = req.user;
+    const userId = user.id;
+
+    const room = rooms.get(roomId);
+
+    // 他の部屋のメンバーが退室の通知を送れないよう、この部屋のメンバーのみ受け付ける
+    if (!room || user.roomId !== roomId || !room.members.has(userId)) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.removeMember(userId)) {
+        emitHostsChanged(room);
+    }
+    user.roomId = null;
+    user.role = 'spectator';
+    scheduleSave(room, user);
+
+    // WebSocketクライアントに通知
+    io.to(`room_${roomId}`).emit('memberLeft', {
+        userId: userId,
+        username: user.username
+    });
+    notifyWebhooks('memberLeft', room, { userId: userId, username: user.username, reason: 'left' });
+    postSystemMessage(room, 'memberLeft', `${user.username} が退室しました`);
+
+    // 空になった部屋は一定時間後に expireIdleRooms で削除する
+    console.log(`User ${user.username} left room ${room.name}. Room members: ${room.members.size}`);
+
+    res.json({ success: true });
+
+    // 残りのプレイヤーが全員終了していれば曲を確定
+    tryFinishSong(roomId);
+});
+
+// 曲の情報を送信（曲の開始）
+// スコア送信・曲終了時にも song として同じ内容を送ることができる
+app.post('/api/rooms/:roomId/song', requireSession, validateBody(REST_SCHEMAS.songMetadata), (req, res) => {
+    const { roomId } = req.params;
+    const user = req.user;
+
+    const room = rooms.get(roomId);
+
+    if (!room || user.roomId !== roomId) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (user.role !== 'player') {
+        return res.status(403).json({ error: 'Only players can submit scores' });
+    }
+
+    const metadata = normalizeSongMetadata(req.body);
+    if (!metadata) {
+        return res.status(400).json({ error: 'Invalid song metadata' });
+    }
+
+    if (!getScoringSong(room)) {
+        return res.status(409).json({ error: 'Song has not started' });
+    }
+
+    reportSongMetadata(room, user, metadata);
+    shareScore(room, user.id);
+
+    res.json({
+        success: true,
+        songId: room.currentSong.id,
+        chartMismatch: room.currentSong.chartMismatch
+    });
+});
+
+// 準備完了の設定（準備確認ありの部屋のプレイヤーのみ）
+app.post('/api/rooms/:roomId/ready', requireSession, validateBody(REST_SCHEMAS.ready), (req, res) => {
+    const { roomId } = req.params;
+    const user = req.user;
+
+    const room = rooms.get(roomId);
+
+    if (!room || user.roomId !== roomId) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!room.readyCheck) {
+        return res.status(400).json({ error: 'Ready check is not enabled' });
+    }
+
+    if (user.role !== 'player') {
+        return res.status(403).json({ error: 'Only players can be ready' });
+    }
+
+    setReady(room, user, req.body.ready !== false);
+    res.json({ success: true, allReady: room.isAllPlayersReady() });
+});
+
+// カウントダウン開始（部屋主のみ）
+app.post('/api/rooms/:roomId/countdown', requireSession, validateBody(REST_SCHEMAS.countdown), (req, res) => {
+    const { roomId } = req.params;
+    const user = req.user;
+
+    const room = rooms.get(roomId);
+
+    if (!room || user.roomId !== roomId) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.ownerId !== user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const error = getCountdownError(room, req.body.force);
+    if (error) {
+        return res.status(409).json({ error });
+    }
+
+    startCountdown(room, req.body.seconds);
+    res.json({ success: true, songId: room.countdown.songId, startsAt: room.countdown.startsAt });
+});
+
+// スコア送信
+app.post('/api/rooms/:roomId/score', requireSession, validateBody(REST_SCHEMAS.score), (req, res) => {
+    const { roomId } = req.params;
+    const { normalScore, exScore } = req.body;
+    const user = req.user;
+    const userId = user.id;
+
+    const room = rooms.get(roomId);
+
+    if (!room || user.roomId !== roomId) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (user.role !== 'player') {
+        return res.status(403).json({ error: 'Only players can submit scores' });
+    }
+
+    const retryAfter = checkRateLimit('score', userId, req.ip);
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many requests' });
+    }
+
+    const metadata = normalizeSongMetadata(req.body.song);
+    if (metadata === false) {
+        return res.status(400).json({ error: 'Invalid song metadata' });
+    }
+
+    const progress = normalizeProgress(req.body.progress);
+    if (progress === false) {
+        return res.status(400).json({ error: 'Invalid progress' });
+    }
+
+    // 譜面の最大EXスコアが分かっている場合はそれを上限とする
+    const chart = metadata || (room.currentSong && room.currentSong.charts.get(userId));
+    if (chart && chart.maxExScore && exScore > chart.maxExScore) {
+        return res.status(400).json({ error: 'exScore exceeds maxExScore' });
+    }
+
+    // 新しい曲の開始または既存曲へのスコア追加
+    const song = getScoringSong(room);
+    if (!song) {
+        return res.status(409).json({ error: 'Song has not started' });
+    }
+
+    // 終了後のスコアは次の曲のものである可能性があるため受け付けない
+    if (song.isUserFinished(userId)) {
+        return res.status(409).json({ error: 'Player already finished' });
+    }
+
+    song.addScore(userId, normalScore, exScore, progress);
+    reportSongMetadata(room, user, metadata);
+    shareScore(room, userId);
+
+    // 即座にレスポンスを返す（軽量化）
+    res.json({ success: true });
+
+    // WebSocket通知をバッチ処理で間引く
+    batchUpdateRankings(roomId);
+    scheduleFinishTimeout(room);
+
+    console.log(`Score submitted by ${user.username}: normal=${normalScore}, ex=${exScore}, rule=${room.rule}`);
+});
+
+// 終了した曲の一覧（古い順）
+app.get('/api/rooms/:roomId/songs', (req, res) => {
+    const room = rooms.get(req.params.roomId);
+
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    res.json(room.songHistory.map(song => ({
+        songId: song.id,
+        metadata: song.metadata,
+        startedAt: song.startedAt,
+        finishedAt: song.finishedAt,
+        playerCount: song.scores.size
+    })));
+});
+
+// 曲のスコアの推移（演奏中の曲も指定可能）
+app.get('/api/rooms/:roomId/songs/:songId/timeline', (req, res) => {
+    const { roomId, songId } = req.params;
+    const room = rooms.get(roomId);
+
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    const song = room.currentSong && room.currentSong.id === songId
+        ? room.currentSong
+        : room.songHistory.find(finished => finished.id === songId);
+    if (!song) {
+        return res.status(404).json({ error: 'Song not found' });
+    }
+
+    res.json(getSongTimeline(room, song));
+});
+
+// 対戦結果のエクスポート（部屋主のみ）
+// format: 'json'(デフォルト) or 'csv'、from / to: 曲の終了時刻で絞り込む(ISO 8601)
+app.get('/api/rooms/:roomId/export', requireSession, (req, res) => {
+    const { roomId } = req.params;
+    const format = req.query.format || 'json';
+    const user = req.user;
+
+    const room = rooms.get(roomId);
+
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (room.ownerId !== user.id) {
+        return res.status(403).json({ error: 'Only the room owner can export results' });
+    }
+
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(400).json({ error: 'Invalid format' });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({ error: 'Invalid time range' });
+    }
+
+    const exportData = buildRoomExport(room, from, to);
+    const filename = `results_${room.id}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'csv') {
+        // Excelで文字化けしないようBOMを付ける
+        res.type('text/csv; charset=utf-8').send('\uFEFF' + toCsv(exportData));
+    } else {
+        res.json(exportData);
+    }
+
+    console.log(`Results exported by ${user.username}: room=${room.name}, format=${format}, songs=${exportData.songs.length}`);
+});
+
+// 部屋を削除して全メンバーを退出させる
+// reason: 'admin'（管理者）, 'owner'（部屋主）, 'expired'（自動削除）
+function deleteRoom(room, reason) {
+    // 受付中の予想は無効にした曲と同じく払い戻す（観戦者が退出する前に通知する）
+    scheduleSave(...settlePrediction(room, room.currentSong, []));
+
+    // 部屋削除の通知を送信（メンバーを退出させる前に送る）
+    io.to(`room_${room.id}`).emit('roomDeleted', { reason: reason });
+
+    // 全メンバーを退出させる（部屋主を含む）
+    const memberIds = Array.from(room.members);
+    memberIds.forEach(memberId => {
+        const member = users.get(memberId);
+        if (member && member.roomId === room.id) {
+            // メンバーの状態をリセット
+            member.roomId = null;
+            member.role = 'spectator';
+            
+            // WebSocketがある場合は部屋から退出（他のインスタンスに接続している場合も含む）
+            if (member.socketId) {
+                io.in(member.socketId).socketsLeave(`room_${room.id}`);
+            }
+            scheduleSave(member);
+            
+            console.log(`Removed member ${member.username} from deleted room`);
+        }
+    });
+
+    // 部屋のメンバーリストをクリア
+    room.members.clear();
+
+    // 部屋を削除
+    rooms.delete(room.id);
+    stateStore.remove('rooms', room.id);
+    
+    // タイマーと部屋のWebhookもクリア
+    clearRankingUpdates(room.id);
+    [countdownTimers, finishTimers].forEach(timers => {
+        if (timers.has(room.id)) {
+            clearTimeout(timers.get(room.id));
+            timers.delete(room.id);
+        }
+    });
+    deleteRoomWebhooks(room.id);
+    scheduleSave();
+    
+    // 部屋一覧の更新を通知
+    io.emit('roomListUpdated');
+    
+    console.log(`Room ${room.name} deleted (${reason})`);
+}
+
+// 管理者による部屋削除API
+app.post('/api/admin/rooms/:roomId/delete', validateBody(REST_SCHEMAS.adminDelete), requireAdmin, (req, res) => {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    deleteRoom(room, 'admin');
+    res.json({ success: true });
+});
+
+// 部屋主による部屋削除API
+app.post('/api/rooms/:roomId/delete', requireSession, requireRoomOwner, (req, res) => {
+    deleteRoom(req.room, 'owner');
+    res.json({ success: true });
+});
+
+// 入室の受付を停止・再開（部屋主のみ）
+// ロック中も既存のメンバーはそのまま残る
+function setRoomLocked(room, locked) {
+    room.locked = locked;
+    scheduleSave(room);
+
+    io.to(`room_${room.id}`).emit('roomLockChanged', { locked: locked });
+    io.emit('roomListUpdated');
+}
+
+app.post('/api/rooms/:roomId/lock', requireSession, requireRoomOwner, validateBody(REST_SCHEMAS.lockRoom), (req, res) => {
+    setRoomLocked(req.room, req.body.locked);
+    res.json({ success: true, locked: req.room.locked });
+});
+
+// 部屋主・共同ホスト
+// 部屋主の譲渡と共同ホストの設定は部屋主のみ、共同ホストは与えられた権限の操作のみ行える
+
+function emitHostsChanged(room) {
+    io.to(`room_${room.id}`).emit('hostsChanged', {
+        ownerId: room.ownerId,
+        coHosts: room.coHosts
+    });
+}
+
+// 譲渡・共同ホストの対象にできるメンバーか（不可の場合はエラーメッセージ）
+function getHostTargetError(room, targetId) {
+    const target = users.get(targetId);
+    if (!target || target.roomId !== room.id || !room.members.has(targetId)) {
+        return 'Target user not in same room';
+    }
+    if (targetId === room.ownerId) {
+        return 'Target user is the owner';
+    }
+    return null;
+}
+
+function transferRoomOwnership(room, targetId) {
+    room.transferOwnership(targetId);
+    scheduleSave(room);
+    emitHostsChanged(room);
+}
+
+// 共同ホストの権限を設定（空の場合は解除）
+function setCoHost(room, targetId, permissions) {
+    if (permissions.length > 0) {
+        room.coHosts[targetId] = Array.from(new Set(permissions));
+    } else {
+        delete room.coHosts[targetId];
+    }
+    scheduleSave(room);
+    emitHostsChanged(room);
+}
+
+app.post('/api/rooms/:roomId/owner', requireSession, requireRoomOwner, validateBody(REST_SCHEMAS.transferOwnership), (req, res) => {
+    const targetError = getHostTargetError(req.room, req.body.userId);
+    if (targetError) {
+        return res.status(400).json({ error: targetError });
+    }
+
+    transferRoomOwnership(req.room, req.body.userId);
+    res.json({ success: true, ownerId: req.room.ownerId });
+});
+
+app.post('/api/rooms/:roomId/cohosts', requireSession, requireRoomOwner, validateBody(REST_SCHEMAS.setCoHost), (req, res) => {
+    const targetError = getHostTargetError(req.room, req.body.userId);
+    if (targetError) {
+        return res.status(400).json({ error: targetError });
+    }
+
+    setCoHost(req.room, req.body.userId, req.body.permissions);
+    res.json({ success: true, coHosts: req.room.coHosts });
+});
+
+// 進行中の曲を無効にする（部屋主・voidSong の権限を持つ共同ホスト）
+app.post('/api/rooms/:roomId/void', requireSession, requireRoomPermission('voidSong'), (req, res) => {
+    if (!req.room.currentSong) {
+        return res.status(409).json({ error: 'Song has not started' });
+    }
+
+    voidSong(req.room, req.user);
+    res.json({ success: true });
+});
+
+// メンバーがいないまま、または操作のないまま一定時間が経った部屋を削除する
+// 進行中の大会で使っている部屋は対象外
+// 複数インスタンスで動かす場合は各インスタンスが確認し、ロックを取得したインスタンスのみが削除する
+function expireIdleRooms() {
+    const now = Date.now();
+    rooms.forEach(room => {
+        const idle = now - new Date(room.lastActivityAt).getTime();
+        const expired = (EMPTY_ROOM_TIMEOUT > 0 && room.members.size === 0 && idle >= EMPTY_ROOM_TIMEOUT)
+            || (IDLE_ROOM_TIMEOUT > 0 && idle >= IDLE_ROOM_TIMEOUT);
+        const inTournament = Array.from(tournaments.values())
+            .some(tournament => tournament.status === 'running' && tournament.roomId === room.id);
+        if (!expired || inTournament) {
+            return;
+        }
+
+        stateStore.acquireLock(`expire:${room.id}`, ROOM_EXPIRY_CHECK_INTERVAL).then(acquired => {
+            const latestRoom = rooms.get(room.id);
+            if (acquired && latestRoom) {
+                deleteRoom(latestRoom, 'expired');
+            }
+        });
+    });
+}
+
+setInterval(expireIdleRooms, ROOM_EXPIRY_CHECK_INTERVAL).unref();
+
+// Webhook
+// イベントごとに対象の登録へ送信履歴を追加して送信する（送信はイベントが発生したインスタンスが行う）
+function notifyWebhooks(event, room, data) {
+    webhooks.forEach(webhook => {
+        if (!webhook.matches(event, room.id)) {
+            return;
+        }
+
+        const delivery = webhook.addDelivery(event);
+        const payload = {
+            id: delivery.id,
+            event: event,
+            timestamp: delivery.createdAt,
+            room: { id: room.id, name: room.name },
+            data: data
+        };
+        scheduleSave(webhook);
+        deliverWebhook(webhook.id, delivery.id, payload);
+    });
+}
+
+// 送信し、失敗した場合は上限回数まで間隔を延ばしながら再送する
+function deliverWebhook(webhookId, deliveryId, payload) {
+    webhookTimers.delete(deliveryId);
+    const webhook = webhooks.get(webhookId);
+    const delivery = webhook ? webhook.deliveries.find(item => item.id === deliveryId) : null;
+    if (!delivery) {
+        return;
+    }
+
+    sendWebhook(webhook, delivery, payload).then(result => {
+        // 送信中に登録が削除・更新された場合は最新のデータに記録する
+        const latest = webhooks.get(webhookId);
+        const latestDelivery = latest ? latest.deliveries.find(item => item.id === deliveryId) : null;
+        if (!latestDelivery) {
+            return;
+        }
+
+        latestDelivery.attempts.push({ at: new Date(), statusCode: result.statusCode, error: result.error });
+        latestDelivery.nextRetryAt = null;
+        if (!result.error) {
+            latestDelivery.status = 'delivered';
+        } else if (latestDelivery.attempts.length >= MAX_WEBHOOK_ATTEMPTS) {
+            latestDelivery.status = 'failed';
+            console.log(`Webhook delivery to ${latest.url} failed: ${result.error}`);
+        } else {
+            const delay = getRetryDelay(latestDelivery.attempts.length);
+            latestDelivery.nextRetryAt = new Date(Date.now() + delay);
+            webhookTimers.set(deliveryId, setTimeout(() => deliverWebhook(webhookId, deliveryId, payload), delay));
+        }
+        scheduleSave(latest);
+    });
+}
+
+function deleteWebhook(webhook) {
+    webhook.deliveries.forEach(delivery => {
+        if (webhookTimers.has(delivery.id)) {
+            clearTimeout(webhookTimers.get(delivery.id));
+            webhookTimers.delete(delivery.id);
+        }
+    });
+    webhooks.delete(webhook.id);
+    stateStore.remove('webhooks', webhook.id);
+}
+
+function deleteRoomWebhooks(roomId) {
+    webhooks.forEach(webhook => {
+        if (webhook.roomId === roomId) {
+            deleteWebhook(webhook);
+        }
+    });
+}
+
+// 部屋主のみ操作可能
+function requireRoomOwner(req, res, next) {
+    const room = rooms.get(req.params.roomId);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    if (room.ownerId !== req.user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    req.room = room;
+    next();
+}
+
+// 部屋主または権限を持つ共同ホストのみ操作可能
+function requireRoomPermission(permission) {
+    return (req, res, next) => {
+        const room = rooms.get(req.params.roomId);
+        if (!room) {
+            return res.status(404).json({ error: 'Room not found' });
+        }
+        if (!room.hasPermission(req.user.id, permission)) {
+            return res.status(403).json({ error: 'Permission denied' });
+        }
+
+        req.room = room;
+        next();
+    };
+}
+
+function requireAdmin(req, res, next) {
+    if (req.body.adminPassword !== ADMIN_PASSWORD) {
+        return res.status(403).json({ error: 'Invalid admin password' });
+    }
+    next();
+}
+
+// 登録（シークレットは登録時のみ返す）
+function createWebhook(req, res, roomId) {
+    const config = normalizeWebhookConfig(req.body);
+    if (!config) {
+        return res.status(400).json({ error: 'Invalid webhook config' });
+    }
+
+    const webhook = new Webhook(config, roomId, req.user ? req.user.id : null);
+    webhooks.set(webhook.id, webhook);
+    scheduleSave(webhook);
+
+    res.json({ ...webhook.getInfo(), secret: webhook.secret });
+}
+
+// 部屋のWebhook（部屋主）
+app.post('/api/rooms/:roomId/webhooks', requireSession, requireRoomOwner, validateBody(REST_SCHEMAS.createWebhook), (req, res) => {
+    createWebhook(req, res, req.room.id);
+});
+
+// 登録と送信履歴の一覧
+app.get('/api/rooms/:roomId/webhooks', requireSession, requireRoomOwner, (req, res) => {
+    res.json(Array.from(webhooks.values())
+        .filter(webhook => webhook.roomId === req.room.id)
+        .map(webhook => webhook.getInfo()));
+});
+
+app.post('/api/rooms/:roomId/webhooks/:webhookId/delete', requireSession, requireRoomOwner, (req, res) => {
+    const webhook = webhooks.get(req.params.webhookId);
+    if (!webhook || webhook.roomId !== req.room.id) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    deleteWebhook(webhook);
+    scheduleSave();
+    res.json({ success: true });
+});
+
+// 全部屋が対象のWebhook（管理者）
+app.post('/api/admin/webhooks', validateBody(REST_SCHEMAS.createAdminWebhook), requireAdmin, (req, res) => {
+    createWebhook(req, res, null);
+});
+
+app.post('/api/admin/webhooks/list', validateBody(REST_SCHEMAS.adminDelete), requireAdmin, (req, res) => {
+    res.json(Array.from(webhooks.values())
+        .filter(webhook => webhook.roomId === null)
+        .map(webhook => webhook.getInfo()));
+});
+
+app.post('/api/admin/webhooks/:webhookId/delete', validateBody(REST_SCHEMAS.adminDelete), requireAdmin, (req, res) => {
+    const webhook = webhooks.get(req.params.webhookId);
+    if (!webhook || webhook.roomId !== null) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    deleteWebhook(webhook);
+    scheduleSave();
+    res.json({ success: true });
+});
+
+// バッチ処理でランキング更新（確実な定期更新）
+// 複数インスタンスで動かす場合も1部屋の更新間隔を共有するため、ロックを取得したインスタンスのみが送信する
+// 送信後の間隔の間に届いたスコアは、間隔の終わりにまとめて送信する
+function batchUpdateRankings(roomId) {
+    pendingRankings.add(roomId);
+
+    // 更新を担当中、またはロックの取得中・再確認待ちの場合は何もしない
+    if (rankingWindows.has(roomId) || updateTimers.has(roomId)) {
+        return;
+    }
+
+    updateTimers.set(roomId, null);
+    stateStore.acquireLock(`rankings:${roomId}`, RANKING_UPDATE_INTERVAL).then(acquired => {
+        updateTimers.delete(roomId);
+
+        // 他のインスタンスが送信済み
+        if (!pendingRankings.has(roomId)) {
+            return;
+        }
+
+        if (!acquired) {
+            // 他のインスタンスが担当中のため、送信されなければ後で再確認
+            updateTimers.set(roomId, setTimeout(() => {
+                updateTimers.delete(roomId);
+                if (pendingRankings.has(roomId)) {
+                    batchUpdateRankings(roomId);
+                }
+            }, RANKING_RETRY_INTERVAL));
+            return;
+        }
+
+        performRankingUpdate(roomId);
+        rankingWindows.set(roomId, setTimeout(() => {
+            rankingWindows.delete(roomId);
+            if (pendingRankings.has(roomId)) {
+                batchUpdateRankings(roomId);
+            }
+        }, RANKING_UPDATE_INTERVAL));
+    });
+}
+
+function clearRankingUpdates(roomId) {
+    pendingRankings.delete(roomId);
+    [updateTimers, rankingWindows].forEach(timers => {
+        if (timers.has(roomId)) {
+            clearTimeout(timers.get(roomId));
+            timers.delete(roomId);
+        }
+    });
+}
+
+// 実際のランキング更新処理
+function performRankingUpdate(roomId) {
+    pendingRankings.delete(roomId);
+
+    const room = rooms.get(roomId);
+    if (room && room.currentSong) {
+        const rankings = room.currentSong.calculateRankings(room.rule, room.tieBreaker, room.handicaps);
+        const teamRankings = room.teamMode ? calculateTeamRankings(rankings, room.teamMode, room.teamAssignments) : null;
+        
+        console.log(`Ranking update for room ${roomId}:`, 
+            rankings.map(r => `${r.username}: ${r.score}`).join(', '));
+        
+        // 曲の途中の順位表には予測スコアを加える
+        const projected = addProjections(rankings, getMaxScores(room, room.currentSong));
+
+        // WebSocket通知（チーム戦の場合は第2引数でチーム集計を送る）
+        io.to(`room_${roomId}`).emit('rankingsUpdated', addGhostEntry(projected, getGhostEntry(room, room.currentSong)), teamRankings);
+
+        // 送信済みのスコアを他のインスタンスに伝える
+        stateStore.publish({
+            type: 'rankings',
+            roomId: roomId,
+            songId: room.currentSong.id,
+            scores: rankings.map(ranking => [ranking.userId, ranking.normal, ranking.ex, ranking.progress === undefined ? null : ranking.progress])
+        });
+
+        closePredictionIfReached(room);
+    }
+}
+
+// 予測スコアの上限（EXスコアの部屋で、プレイヤーが譜面の最大EXスコアを送っている場合のみ）
+function getMaxScores(room, song) {
+    const maxScores = {};
+    if (room.rule === 'ex') {
+        song.charts.forEach((chart, userId) => {
+            if (chart.maxExScore) {
+                maxScores[userId] = chart.maxExScore;
+            }
+        });
+    }
+    return maxScores;
+}
+
+// サバイバル
+
+function emitSurvivalUpdate(room) {
+    io.to(`room_${room.id}`).emit('survivalUpdated', {
+        survival: room.survival,
+        eliminated: room.eliminated,
+        survivalWinner: room.survivalWinner
+    });
+}
+
+// 最終順位（勝者が1位、以降は後に脱落したプレイヤーほど上位。同じ曲で脱落したプレイヤーは同順位）
+function getSurvivalStandings(room) {
+    const standings = [{ userId: room.survivalWinner.userId, username: room.survivalWinner.username, place: 1, songId: null }];
+    room.eliminated.slice().reverse().forEach((entry, index, all) => {
+        const previous = all[index - 1];
+        const place = previous && previous.songId === entry.songId ? standings[standings.length - 1].place : standings.length + 1;
+        standings.push({ userId: entry.userId, username: entry.username, place: place, songId: entry.songId });
+    });
+    return standings;
+}
+
+// 曲の結果で下位のプレイヤーを観戦者にし、残りが1人になれば勝者として最終結果を送る
+function eliminateSurvivalPlayers(room, song, rankings) {
+    if (!room.survival || room.survivalWinner) {
+        return;
+    }
+
+    // 曲の終了時点で部屋に残っているプレイヤーのみを対象とする
+    const players = rankings.filter(ranking => {
+        const user = users.get(ranking.userId);
+        return user && user.roomId === room.id && user.role === 'player';
+    });
+    const eliminated = selectEliminated(players, room.survival.eliminatePerSong);
+
+    eliminated.forEach(ranking => {
+        const user = users.get(ranking.userId);
+        user.role = 'spectator';
+        room.readyPlayers.delete(user.id);
+        room.eliminated.push({ userId: user.id, username: user.username, songId: song.id, eliminatedAt: new Date() });
+        scheduleSave(user);
+
+        io.to(`room_${room.id}`).emit('roleChanged', {
+            userId: user.id,
+            username: user.username,
+            role: user.role
+        });
+        postSystemMessage(room, 'playerEliminated', `${user.username} が脱落しました`);
+    });
+
+    const remaining = room.getMemberList().filter(member => member.role === 'player');
+    if (remaining.length === 1 && room.eliminated.length > 0) {
+        room.survivalWinner = { userId: remaining[0].id, username: remaining[0].username, decidedAt: new Date() };
+        postSystemMessage(room, 'survivalFinished', `${remaining[0].username} が最後まで勝ち残りました`);
+    }
+    scheduleSave(room);
+    emitSurvivalUpdate(room);
+
+    if (room.survivalWinner) {
+        io.to(`room_${room.id}`).emit('survivalFinished', {
+            winner: room.survivalWinner,
+            standings: getSurvivalStandings(room)
+        });
+    }
+}
+
+// ゴースト
+// 順位表の表示のみに加える仮想のプレイヤー（ポイント・勝敗予想・成績・チーム集計には含めない）
+
+const GHOST_USER_ID = 'ghost';
+
+// 同じ譜面で userId のプレイヤーが最高スコアを出した曲（DNFと対象の曲自体は除く）
+function findPersonalBestSong(room, userId, currentSong) {
+    const chartKey = getChartKey(currentSong.metadata);
+    let best = null;
+    let bestScore = -1;
+    room.songHistory.forEach(song => {
+        const score = song.scores.get(userId);
+        if (song.id === currentSong.id || !score || score.dnf || !song.metadata || getChartKey(song.metadata) !== chartKey) {
+            return;
+        }
+        const value = room.rule === 'ex' ? score.ex : score.normal;
+        if (value > bestScore) {
+            best = song;
+            bestScore = value;
+        }
+    });
+    return best;
+}
+
+// 曲の進行度（0〜1）。プレイヤーが送った進行度のうち最も進んでいるもの（終了したプレイヤーは1）
+// 誰も進行度を送っていない場合は、ゴーストに曲の長さが設定されていれば経過時間から求める（分からない場合はnull）
+function getSongProgress(song, duration) {
+    if (song.finishedAt) {
+        return 1;
+    }
+
+    let progress = null;
+    song.scores.forEach(score => {
+        const value = score.finished ? 1 : score.progress;
+        if (value !== null && value !== undefined) {
+            progress = Math.max(progress || 0, value);
+        }
+    });
+    if (progress === null && duration) {
+        progress = Math.min(1, (Date.now() - song.startedAt) / 1000 / duration);
+    }
+    return progress;
+}
+
+// 曲のゴーストの順位表の項目（表示できない場合はnull）
+// 目標ペースは目標スコアを曲の進行度に合わせて伸ばし（進行度が分からない場合は目標スコア）、projectedScore を目標スコアとする
+// 自己ベストは曲の途中は推移を曲の開始からの経過時間で再生し、終了後は最終スコアとする
+function getGhostEntry(room, song) {
+    const ghost = room.ghost;
+    if (!ghost || !song) {
+        return null;
+    }
+
+    let username;
+    let normal = 0;
+    let ex = 0;
+    let projectedScore;
+    if (ghost.type === 'pace') {
+        const maxScore = ghost.maxScore || (room.rule === 'ex' && song.metadata ? song.metadata.maxExScore : null);
+        if (!maxScore) {
+            return null;
+        }
+        const progress = getSongProgress(song, ghost.duration);
+        const target = Math.ceil(maxScore * ghost.rate / 100 * (progress === null ? 1 : progress));
+        projectedScore = Math.ceil(maxScore * ghost.rate / 100);
+        username = ghost.label || `目標 ${ghost.rate}%`;
+        if (room.rule === 'ex') {
+            ex = target;
+        } else {
+            normal = target;
+        }
+    } else {
+        const best = song.metadata ? findPersonalBestSong(room, ghost.userId, song) : null;
+        if (!best) {
+            return null;
+        }
+        const user = users.get(ghost.userId);
+        const ranking = (best.rankings || []).find(entry => entry.userId === ghost.userId);
+        username = `${user ? user.username : ranking ? ranking.username : 'Unknown'}の自己ベスト`;
+        if (song.finishedAt) {
+            ({ normal, ex } = best.scores.get(ghost.userId));
+        } else {
+            const elapsed = Date.now() - song.startedAt;
+            const reached = (best.timeline.get(ghost.userId) || []).filter(point => point[0] <= elapsed);
+            if (reached.length > 0) {
+                [, normal, ex] = reached[reached.length - 1];
+            }
+        }
+    }
+
+    const score = room.rule === 'ex' ? ex : normal;
+    const entry = {
+        userId: GHOST_USER_ID,
+        username: username,
+        type: 'ghost',
+        score: score,
+        rawScore: score,
+        handicap: null,
+        normal: normal,
+        ex: ex,
+        finished: !!song.finishedAt
+    };
+    if (projectedScore !== undefined) {
+        entry.projectedScore = projectedScore;
+    }
+    return entry;
+}
+
+// 順位表にゴーストを加える（プレイヤーの順位は変えず、同点の場合はプレイヤーの後ろに同じ順位で並べる）
+function addGhostEntry(rankings, ghost) {
+    if (!ghost) {
+        return rankings;
+    }
+    const index = rankings.filter(ranking => !ranking.dnf && ranking.score >= ghost.score).length;
+    const ahead = rankings.filter(ranking => !ranking.dnf && ranking.score > ghost.score).length;
+    return [...rankings.slice(0, index), { ...ghost, rank: ahead + 1 }, ...rankings.slice(index)];
+}
+
+// 準備確認・カウントダウン
+
+// スコアを受け付ける曲を返す（準備確認ありの部屋で曲が始まっていない場合はnull）
+// 準備確認なしの部屋では、最初のスコアで曲を開始する
+function getScoringSong(room) {
+    if (room.currentSong) {
+        return room.currentSong;
+    }
+    if (room.readyCheck) {
+        // カウントダウンを開始したインスタンスのタイマーより先にスコアが届いた場合もここで開始する
+        return openCountdownSong(room);
+    }
+    room.currentSong = new Song(room.id);
+    scheduleSave(room);
+    postSystemMessage(room, 'songStarted', '曲が始まりました');
+    return room.currentSong;
+}
+
+function setReady(room, user, ready) {
+    if (ready) {
+        room.readyPlayers.add(user.id);
+    } else {
+        room.readyPlayers.delete(user.id);
+    }
+    scheduleSave(room);
+
+    io.to(`room_${room.id}`).emit('readyChanged', {
+        userId: user.id,
+        username: user.username,
+        ready: ready,
+        readyPlayers: Array.from(room.readyPlayers),
+        allReady: room.isAllPlayersReady()
+    });
+}
+
+// カウントダウンを開始できない理由（開始できる場合はnull）
+function getCountdownError(room, force) {
+    if (!room.readyCheck) {
+        return 'Ready check is not enabled';
+    }
+    if (room.currentSong) {
+        return 'Song in progress';
+    }
+    if (room.countdown) {
+        return 'Countdown already started';
+    }
+    if (!force && !room.isAllPlayersReady()) {
+        return 'Not all players are ready';
+    }
+    return null;
+}
+
+// 全クライアントに開始時刻を送り、その時刻に曲を開始する
+// 曲IDを先に決めておくことで、どのインスタンスで開始しても同じ曲になる
+function startCountdown(room, seconds = DEFAULT_COUNTDOWN_SECONDS) {
+    room.countdown = {
+        songId: uuidv4(),
+        startsAt: new Date(Date.now() + seconds * 1000)
+    };
+    scheduleSave(room);
+
+    io.to(`room_${room.id}`).emit('countdownStarted', {
+        songId: room.countdown.songId,
+        startsAt: room.countdown.startsAt,
+        seconds: seconds
+    });
+
+    countdownTimers.set(room.id, setTimeout(() => {
+        countdownTimers.delete(room.id);
+        const latestRoom = rooms.get(room.id);
+        if (latestRoom) {
+            openCountdownSong(latestRoom);
+        }
+    }, seconds * 1000));
+}
+
+// 開始時刻を過ぎていれば曲を開始する（開始前の場合はnull）
+function openCountdownSong(room) {
+    if (!room.countdown || new Date(room.countdown.startsAt) > Date.now()) {
+        return room.currentSong;
+    }
+
+    const song = new Song(room.id);
+    song.id = room.countdown.songId;
+    song.startedAt = new Date(room.countdown.startsAt);
+    room.countdown = null;
+    room.readyPlayers.clear();
+    if (!mergeCurrentSong(room, song)) {
+        return room.currentSong;
+    }
+    scheduleSave(room);
+
+    io.to(`room_${room.id}`).emit('songStarted', {
+        songId: room.currentSong.id,
+        startedAt: room.currentSong.startedAt
+    });
+    postSystemMessage(room, 'songStarted', '曲が始まりました');
+    return room.currentSong;
+}
+
+// チャット
+// 入退室・追放・曲の開始と結果はシステムメッセージとしてチャットにも残す（配信中のイベントログを兼ねる）
+
+function addChatMessage(room, message) {
+    pushChatMessage(room, message);
+    // 他のインスタンスには部屋全体ではなくメッセージのみを送る
+    stateStore.publish({ type: 'chat', roomId: room.id, message: message });
+    scheduleSave();
+
+    io.to(`room_${room.id}`).emit('newMessage', message);
+}
+
+function pushChatMessage(room, message) {
+    room.chatHistory.push(message);
+    if (room.chatHistory.length > MAX_CHAT_HISTORY) {
+        room.chatHistory.splice(0, room.chatHistory.length - MAX_CHAT_HISTORY);
+    }
+}
+
+// event: 'memberJoined', 'memberLeft', 'memberKicked', 'songStarted', 'songFinished', 'playerEliminated', 'playerRevived', 'survivalFinished'
+function postSystemMessage(room, event, message) {
+    addChatMessage(room, {
+        id: uuidv4(),
+        type: 'system',
+        event: event,
+        userId: null,
+        username: 'システム',
+        message: message,
+        timestamp: new Date()
+    });
+}
+
+// 曲の結果のシステムメッセージ（上位3人まで）
+function formatResultMessage(song, rankings) {
+    const title = song.metadata && song.metadata.title ? song.metadata.title : '曲';
+    const results = rankings.slice(0, 3)
+        .map(ranking => `${ranking.rank}位 ${ranking.username} ${ranking.dnf ? 'DNF' : ranking.score.toLocaleString()}`);
+    return `${title} の結果: ${results.join(' / ')}`;
+}
+
+// チャットの設定（低速モード・ミュート）の変更を通知
+function emitChatSettingsChanged(room) {
+    io.to(`room_${room.id}`).emit('chatSettingsChanged', {
+        chatSlowMode: room.chatSlowMode,
+        mutedUsers: room.mutedUsers
+    });
+}
+
+// 勝敗予想
+
+// いずれかのプレイヤーのスコアが締め切りのスコアに到達しているか
+function isPredictionCloseReached(room) {
+    if (!room.currentSong) {
+        return false;
+    }
+    return Array.from(room.currentSong.scores.values())
+        .some(score => (room.rule === 'ex' ? score.ex : score.normal) >= room.predictionConfig.closeScore);
+}
+
+function emitPredictionUpdate(room) {
+    io.to(`room_${room.id}`).emit('predictionUpdated', room.prediction.getSummary());
+}
+
+// 締め切りのスコアに到達していれば受付を締め切る
+function closePredictionIfReached(room) {
+    if (!room.prediction.open || !isPredictionCloseReached(room)) {
+        return;
+    }
+    room.prediction.close();
+    scheduleSave(room);
+    emitPredictionUpdate(room);
+}
+
+// 確定した順位で精算し、次の曲の受付を始める
+function settlePrediction(room, song, rankings) {
+    const prediction = room.prediction;
+    room.prediction = new Prediction();
+    if (prediction.bets.size === 0) {
+        return [];
+    }
+
+    const bettors = [];
+    const results = [];
+    prediction.settle(rankings).forEach((result, userId) => {
+        const user = users.get(userId);
+        if (user) {
+            user.coins += result.payout;
+            bettors.push(user);
+        }
+        results.push({
+            userId: userId,
+            username: user ? user.username : 'Unknown',
+            targetId: result.targetId,
+            amount: result.amount,
+            payout: result.payout,
+            coins: user ? user.coins : null
+        });
+    });
+
+    // 曲の開始前に部屋が削除された場合は song が null
+    io.to(`room_${room.id}`).emit('predictionSettled', {
+        songId: song ? song.id : null,
+        results: results
+    });
+    return bettors;
+}
+
+// 全プレイヤーが終了していれば曲を確定する
+// 複数のインスタンスが同時に確定しないよう、曲ごとのロックを取得したインスタンスのみが処理する
+function tryFinishSong(roomId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.currentSong || !room.currentSong.isAllPlayersFinished(room)) {
+        return;
+    }
+
+    const songId = room.currentSong.id;
+    stateStore.acquireLock(`finish:${songId}`, FINISH_LOCK_TTL).then(acquired => {
+        // ロックの取得中に他のインスタンスで確定された場合は部屋のデータが置き換わっている
+        const latestRoom = rooms.get(roomId);
+        if (acquired && latestRoom && latestRoom.currentSong && latestRoom.currentSong.id === songId) {
+            finishSong(latestRoom);
+        }
+    });
+}
+
+// 終了待ちの制限時間
+
+// 制限時間の期限（まだ数え始めていない場合はnull）
+function getFinishDeadline(room) {
+    const song = room.currentSong;
+    if (!room.finishTimeout || !song) {
+        return null;
+    }
+
+    const scores = Array.from(song.scores.values());
+    let startedAt;
+    if (room.finishTimeout.from === 'lastScore') {
+        const times = scores.map(score => Math.max(new Date(score.submittedAt), score.finishedAt ? new Date(score.finishedAt) : 0));
+        startedAt = times.length > 0 ? Math.max(...times) : null;
+    } else {
+        const times = scores.filter(score => score.finished).map(score => new Date(score.finishedAt).getTime());
+        startedAt = times.length > 0 ? Math.min(...times) : null;
+    }
+    return startedAt === null ? null : startedAt + room.finishTimeout.seconds * 1000;
+}
+
+// スコアの受信・プレイヤーの終了のたびに期限を計算し直してタイマーを設定する
+// 複数インスタンスで動かす場合は各インスタンスが同じ期限でタイマーを持ち、確定は曲ごとのロックで1回のみ行う
+function scheduleFinishTimeout(room) {
+    if (finishTimers.has(room.id)) {
+        clearTimeout(finishTimers.get(room.id));
+        finishTimers.delete(room.id);
+    }
+
+    const deadline = getFinishDeadline(room);
+    if (deadline === null) {
+        return;
+    }
+
+    const songId = room.currentSong.id;
+    finishTimers.set(room.id, setTimeout(() => {
+        finishTimers.delete(room.id);
+        expireFinishTimeout(room.id, songId);
+    }, Math.max(0, deadline - Date.now())));
+}
+
+// 期限切れ: 残りのプレイヤーを終了またはDNFにして曲を確定する
+function expireFinishTimeout(roomId, songId) {
+    const room = rooms.get(roomId);
+    if (!room || !room.currentSong || room.currentSong.id !== songId) {
+        return;
+    }
+
+    // 他のインスタンスから届いたスコアで期限が延びている場合
+    if (getFinishDeadline(room) > Date.now()) {
+        scheduleFinishTimeout(room);
+        return;
+    }
+
+    stateStore.acquireLock(`finish:${songId}`, FINISH_LOCK_TTL).then(acquired => {
+        const latestRoom = rooms.get(roomId);
+        if (!acquired || !latestRoom || !latestRoom.currentSong || latestRoom.currentSong.id !== songId) {
+            return;
+        }
+
+        const song = latestRoom.currentSong;
+        latestRoom.getMemberList()
+            .filter(user => user.role === 'player' && !song.isUserFinished(user.id))
+            .forEach(user => {
+                const dnf = latestRoom.finishTimeout.action === 'dnf' || !song.scores.has(user.id);
+                if (dnf) {
+                    song.markDnf(user.id);
+                } else {
+                    song.finishUser(user.id);
+                }
+
+                io.to(`room_${roomId}`).emit('userFinished', {
+                    userId: user.id,
+                    username: user.username,
+                    timedOut: true,
+                    dnf: dnf
+                });
+            });
+
+        console.log(`Finish timeout expired in room ${latestRoom.name}`);
+        finishSong(latestRoom);
+    });
+}
+
+// 曲の順位を確定してポイントを付与
+function finishSong(room) {
+    const song = room.currentSong;
+    if (finishTimers.has(room.id)) {
+        clearTimeout(finishTimers.get(room.id));
+        finishTimers.delete(room.id);
+    }
+    const rankings = song.calculateRankings(room.rule, room.tieBreaker, room.handicaps);
+
+    // 部屋のポイント付与方式に従って付与
+    const awardedPoints = calculatePoints(rankings, room.scoring);
+    const rankedUsers = [];
+    rankings.forEach(ranking => {
+        ranking.awardedPoints = awardedPoints.get(ranking.userId) || 0;
+        const user = users.get(ranking.userId);
+        if (user) {
+            user.points = Math.round((user.points + ranking.awardedPoints) * 100) / 100;
+            rankedUsers.push(user);
+        }
+    });
+
+    // チーム戦の場合はチーム順位にも同じ方式でポイントを付与
+    let teamRankings = null;
+    if (room.teamMode) {
+        teamRankings = calculateTeamRankings(rankings, room.teamMode, room.teamAssignments);
+        const teamPoints = calculateTeamPoints(teamRankings, room.scoring);
+        teamRankings.forEach(team => {
+            team.awardedPoints = teamPoints.get(team.team) || 0;
+            room.teamPoints[team.team] = Math.round(((room.teamPoints[team.team] || 0) + team.awardedPoints) * 100) / 100;
+        });
+        song.teamRankings = teamRankings;
+    }
+
+    song.finishedAt = new Date();
+    room.songHistory.push(song);
+    room.currentSong = null;
+    const bettors = settlePrediction(room, song, rankings);
+    recordSongStats(room, song, rankings);
+    scheduleSave(room, ...rankedUsers, ...bettors);
+
+    // 最終結果を送信
+    io.to(`room_${room.id}`).emit('songFinished', {
+        song: getSongInfo(song),
+        rankings: rankings,
+        teamRankings: teamRankings,
+        teamPoints: room.teamPoints,
+        members: room.getMemberList(),
+        // ゴーストは順位表に含めず、最終スコアと順位を別に送る
+        ghost: addGhostEntry(rankings, getGhostEntry(room, song)).find(ranking => ranking.type === 'ghost') || null
+    });
+    notifyWebhooks('songFinished', room, {
+        song: getSongInfo(song),
+        rankings: rankings,
+        teamRankings: teamRankings,
+        teamPoints: room.teamPoints
+    });
+    postSystemMessage(room, 'songFinished', formatResultMessage(song, rankings));
+
+    eliminateSurvivalPlayers(room, song, rankings);
+    recordTournamentSong(room, song);
+}
+
+// 進行中の曲を無効にする（止まってしまったプレイヤーがいる場合など）
+// ポイント・成績は記録せず履歴にも残さない。勝敗予想の賭け金は全員に返す
+function voidSong(room, user) {
+    const song = room.currentSong;
+    if (finishTimers.has(room.id)) {
+        clearTimeout(finishTimers.get(room.id));
+        finishTimers.delete(room.id);
+    }
+    clearRankingUpdates(room.id);
+
+    room.currentSong = null;
+    room.voidedSongIds = room.voidedSongIds.concat(song.id).slice(-MAX_VOIDED_SONGS);
+    const bettors = settlePrediction(room, song, []);
+    scheduleSave(room, ...bettors);
+
+    io.to(`room_${room.id}`).emit('songVoided', {
+        songId: song.id,
+        voidedBy: { userId: user.id, username: user.username }
+    });
+
+    console.log(`Song ${song.id} voided by ${user.username} in room ${room.name}`);
+}
+
+// 長期の成績の集計用に曲の結果を記録する（プロフィールに紐付いたプレイヤーのみ）
+function recordSongStats(room, song, rankings) {
+    const profileIds = new Map();
+    rankings.forEach(ranking => {
+        const user = users.get(ranking.userId);
+        if (user && user.profileId) {
+            profileIds.set(user.id, user.profileId);
+        }
+    });
+
+    const record = createSongRecord(room, song, rankings, profileIds);
+    if (record) {
+        songRecords.set(record.id, record);
+        stateStore.save('songRecords', record.id, record);
+    }
+}
+
+// クエリの season（省略時は現在のシーズン、'all' は通算）。不正な場合は undefined
+function getRequestedSeason(query) {
+    if (query.season === undefined) {
+        return getSeasonId(new Date());
+    }
+    if (query.season === 'all') {
+        return null;
+    }
+    return isSeasonId(query.season) ? query.season : undefined;
+}
+
+// 記録のあるシーズンの一覧（新しい順）
+app.get('/api/stats/seasons', (req, res) => {
+    const current = getSeasonId(new Date());
+    const seasons = new Set([current]);
+    songRecords.forEach(record => seasons.add(record.season));
+
+    res.json({
+        current: current,
+        seasons: Array.from(seasons).sort().reverse()
+    });
+});
+
+// シーズン（または通算）のランキング
+app.get('/api/stats/leaderboard', (req, res) => {
+    const season = getRequestedSeason(req.query);
+    if (season === undefined) {
+        return res.status(400).json({ error: 'Invalid season' });
+    }
+
+    res.json({
+        season: season,
+        players: buildLeaderboard(aggregateStats(Array.from(songRecords.values()), season))
+    });
+});
+
+// プレイヤーの成績（譜面ごとの自己ベスト・対戦成績を含む）
+app.get('/api/stats/players/:profileId', (req, res) => {
+    const profile = profiles.get(req.params.profileId);
+    if (!profile) {
+        return res.status(404).json({ error: 'Player not found' });
+    }
+
+    const season = getRequestedSeason(req.query);
+    if (season === undefined) {
+        return res.status(400).json({ error: 'Invalid season' });
+    }
+
+    const entry = aggregateStats(Array.from(songRecords.values()), season).get(profile.id);
+    res.json({
+        season: season,
+        createdAt: profile.createdAt,
+        ...formatStats(entry || createStats(profile.id, profile.username), true)
+    });
+});
+
+// トーナメント
+
+// 公開用の状態（順位表を含む）
+function getTournamentState(tournament) {
+    return {
+        ...tournament.toStorage(),
+        winsNeeded: tournament.winsNeeded,
+        standings: tournament.getStandings()
+    };
+}
+
+function emitTournamentUpdate(tournament) {
+    io.to(`tournament_${tournament.id}`).emit('tournamentUpdated', getTournamentState(tournament));
+    scheduleSave(tournament);
+}
+
+// 試合中の2人をプレイヤーに、それ以外のAPIユーザーを観戦者にする
+function applyMatchRoles(room, match) {
+    room.getMemberList().forEach(member => {
+        if (member.type !== 'api') {
+            return;
+        }
+
+        const role = match.players.includes(member.id) ? 'player' : 'spectator';
+        if (member.role !== role) {
+            member.role = role;
+            scheduleSave(member);
+            io.to(`room_${room.id}`).emit('roleChanged', {
+                userId: member.id,
+                username: member.username,
+                role: member.role
+            });
+        }
+    });
+}
+
+function findActiveTournamentMatch(roomId) {
+    for (const tournament of tournaments.values()) {
+        const match = tournament.getActiveMatch(roomId);
+        if (match) {
+            return { tournament, match };
+        }
+    }
+    return null;
+}
+
+function startTournamentMatch(tournament, matchId, room) {
+    if (findActiveTournamentMatch(room.id)) {
+        throw new Error('Another match is active in this room');
+    }
+
+    const match = tournament.activateMatch(matchId, room.id);
+    applyMatchRoles(room, match);
+
+    io.to(`room_${room.id}`).emit('tournamentMatchStarted', {
+        tournamentId: tournament.id,
+        matchId: match.id,
+        players: match.players.map(userId => ({ userId, username: tournament.playerNames[userId] })),
+        bestOf: tournament.bestOf
+    });
+
+    console.log(`Tournament match started in room ${room.name}: ${match.players.map(userId => tournament.playerNames[userId]).join(' vs ')}`);
+}
+
+// トーナメント用の部屋が空いていれば次の試合を始める
+function startNextTournamentMatch(tournament) {
+    if (tournament.status !== 'running' || !tournament.roomId) {
+        return;
+    }
+
+    const room = rooms.get(tournament.roomId);
+    const next = tournament.getNextReadyMatch();
+    if (!room || !next || findActiveTournamentMatch(room.id)) {
+        return;
+    }
+
+    startTournamentMatch(tournament, next.id, room);
+}
+
+// 曲の結果を部屋で進行中の試合に反映
+function recordTournamentSong(room, song) {
+    const active = findActiveTournamentMatch(room.id);
+    if (!active) {
+        return;
+    }
+
+    const { tournament, match } = active;
+    tournament.recordSong(match, song.id, song.rankings);
+    if (match.status === 'finished') {
+        console.log(`Tournament match finished: winner ${tournament.playerNames[match.winnerId]}`);
+        startNextTournamentMatch(tournament);
+    }
+    emitTournamentUpdate(tournament);
+}
+
+// 主催者のみ操作可能
+function requireOrganizer(req, res, next) {
+    const tournament = tournaments.get(req.params.tournamentId);
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+    if (tournament.organizerId !== req.user.id) {
+        return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    req.tournament = tournament;
+    next();
+}
+
+// トーナメント作成
+app.post('/api/tournaments', requireSession, validateBody(REST_SCHEMAS.createTournament), (req, res) => {
+    const { name, format = 'single', bestOf = 1, roomId = null } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ error: 'Missing required fields' });
+    }
+
+    if (!TOURNAMENT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: 'Invalid format' });
+    }
+
+    if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf > MAX_BEST_OF || bestOf % 2 === 0) {
+        return res.status(400).json({ error: 'bestOf must be an odd number' });
+    }
+
+    if (roomId && !rooms.has(roomId)) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    // 試合中は部屋のロールを変更するため、部屋主か changeRole の権限を持つ共同ホストのみ部屋を指定できる
+    if (roomId && !rooms.get(roomId).hasPermission(req.user.id, 'changeRole')) {
+        return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    const tournament = new Tournament(name, format, bestOf, req.user.id);
+    tournament.roomId = roomId;
+    tournaments.set(tournament.id, tournament);
+    scheduleSave(tournament);
+
+    res.json({ tournamentId: tournament.id });
+});
+
+// トーナメント一覧
+app.get('/api/tournaments', (req, res) => {
+    res.json(Array.from(tournaments.values()).map(tournament => ({
+        id: tournament.id,
+        name: tournament.name,
+        format: tournament.format,
+        bestOf: tournament.bestOf,
+        status: tournament.status,
+        playerCount: tournament.players.length,
+        winnerId: tournament.winnerId,
+        createdAt: tournament.createdAt
+    })));
+});
+
+// トーナメント詳細
+app.get('/api/tournaments/:tournamentId', (req, res) => {
+    const tournament = tournaments.get(req.params.tournamentId);
+    if (!tournament) {
+        return res.status(404).json({ error: 'Tournament not found' });
+    }
+
+    res.json(getTournamentState(tournament));
+});
+
+// 参加者登録
+app.post('/api/tournaments/:tournamentId/players', requireSession, requireOrganizer, validateBody(REST_SCHEMAS.addTournamentPlayer), (req, res) => {
+    const player = users.get(req.body.userId);
+    if (!player) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+
+    try {
+        req.tournament.addPlayer(player.id, player.username);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    emitTournamentUpdate(req.tournament);
+    res.json({ success: true });
+});
+
+// 参加者削除
+app.post('/api/tournaments/:tournamentId/players/:userId/remove', requireSession, requireOrganizer, (req, res) => {
+    try {
+        req.tournament.removePlayer(req.params.userId);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    emitTournamentUpdate(req.tournament);
+    res.json({ success: true });
+});
+
+// 組み合わせを生成して開始
+app.post('/api/tournaments/:tournamentId/start', requireSession, requireOrganizer, (req, res) => {
+    try {
+        req.tournament.start();
+        startNextTournamentMatch(req.tournament);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    emitTournamentUpdate(req.tournament);
+    res.json({ success: true });
+});
+
+// 試合を指定した部屋で開始
+app.post('/api/tournaments/:tournamentId/matches/:matchId/start', requireSession, requireOrganizer, validateBody(REST_SCHEMAS.startTournamentMatch), (req, res) => {
+    const room = rooms.get(req.body.roomId);
+    if (!room) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+    if (!room.hasPermission(req.user.id, 'changeRole')) {
+        return res.status(403).json({ error: 'Permission denied' });
+    }
+
+    try {
+        startTournamentMatch(req.tournament, req.params.matchId, room);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    emitTournamentUpdate(req.tournament);
+    res.json({ success: true });
+});
+
+// 試合結果の手動入力（棄権など）
+app.post('/api/tournaments/:tournamentId/matches/:matchId/report', requireSession, requireOrganizer, validateBody(REST_SCHEMAS.reportTournamentMatch), (req, res) => {
+    try {
+        req.tournament.reportMatch(req.params.matchId, req.body.winnerId);
+        startNextTournamentMatch(req.tournament);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    emitTournamentUpdate(req.tournament);
+    res.json({ success: true });
+});
+
+// 曲終了通知
+app.post('/api/rooms/:roomId/finish', requireSession, validateBody(REST_SCHEMAS.finish), (req, res) => {
+    const { roomId } = req.params;
+    const user = req.user;
+    const userId = user.id;
+
+    const room = rooms.get(roomId);
+
+    if (!room || user.roomId !== roomId) {
+        return res.status(404).json({ error: 'Room not found' });
+    }
+
+    if (!room.currentSong) {
+        return res.status(400).json({ error: 'No active song' });
+    }
+
+    const metadata = normalizeSongMetadata(req.body.song);
+    if (metadata === false) {
+        return res.status(400).json({ error: 'Invalid song metadata' });
+    }
+
+    reportSongMetadata(room, user, metadata);
+    room.currentSong.finishUser(userId);
+    shareScore(room, userId);
+    scheduleFinishTimeout(room);
+
+    // 即座にレスポンスを返す
+    res.json({ success: true });
+
+    // 非同期で後続処理を実行
+    setImmediate(() => {
+        // WebSocketクライアントに通知
+        io.to(`room_${roomId}`).emit('userFinished', {
+            userId: userId,
+            username: user.username
+        });
+
+        // 全プレイヤーが終了したかチェック
+        tryFinishSong(roomId);
+    });
+});
+
+// WebSocket接続処理
+io.on('connection', (socket) => {
+    console.log('User connected:', socket.id);
+
+    // 受信したイベントのデータをスキーマで検証・整形する
+    socket.use((packet, next) => {
+        const schema = SOCKET_SCHEMAS[packet[0]];
+        if (!schema) {
+            return next();
+        }
+
+        const result = validate(schema, packet[1]);
+        if (result.error) {
+            socket.emit('error', { message: result.error });
+            return;
+        }
+        packet[1] = result.value;
+        next();
+    });
+
+    // Webクライアントからの接続
+    socket.on('webConnect', (data) => {
+        const { username, token } = data;
+
+        // トークンが有効であれば既存ユーザーとして再接続（部屋・ロール・部屋主を引き継ぐ）
+        const existingUser = getUserByToken(token);
+        if (existingUser && existingUser.type === 'web') {
+            if (existingUser.socketId && existingUser.socketId !== socket.id) {
+                socketToUser.delete(existingUser.socketId);
+            }
+            existingUser.socketId = socket.id;
+            socketToUser.set(socket.id, existingUser.id);
+            markOnline(existingUser);
+            shareEntity(existingUser);
+
+            socket.emit('connected', {
+                userId: existingUser.id,
+                username: existingUser.username,
+                token: token,
+                profileId: existingUser.profileId,
+                playerToken: null
+            });
+
+            const room = existingUser.roomId ? rooms.get(existingUser.roomId) : null;
+            if (room) {
+                socket.join(`room_${room.id}`);
+                emitJoinedRoom(socket, room);
+            }
+
+            console.log(`${existingUser.username} reconnected with session token`);
+            return;
+        }
+
+        // トークンが無効でユーザー名もない場合は再ログインを促す
+        if (token && !username) {
+            socket.emit('sessionExpired');
+            return;
+        }
+        
+        if (!username) {
+            socket.emit('error', { message: 'Username is required' });
+            return;
+        }
+
+        const user = new User(username, 'web');
+        const { profile, playerToken } = linkProfile(username, data.playerToken);
+        user.profileId = profile ? profile.id : null;
+        user.socketId = socket.id;
+        users.set(user.id, user);
+        socketToUser.set(socket.id, user.id);
+        shareEntity(user);
+
+        socket.emit('connected', {
+            userId: user.id,
+            username: user.username,
+            token: createSession(user.id),
+            profileId: user.profileId,
+            playerToken: playerToken
+        });
+    });
+
+    // 部屋作成 (Webクライアント)
+    socket.on('createRoom', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        
+        if (!user) {
+            socket.emit('error', { message: 'User not found' });
+            return;
+        }
+
+        const scoring = normalizeScoringConfig(data.scoring);
+        if (!scoring) {
+            socket.emit('error', { message: 'Invalid scoring config' });
+            return;
+        }
+
+        const tieBreaker = data.tieBreaker || 'none';
+        if (!TIE_BREAKERS.includes(tieBreaker)) {
+            socket.emit('error', { message: 'Invalid tie breaker' });
+            return;
+        }
+
+        const teamMode = normalizeTeamConfig(data.teamMode);
+        if (teamMode === false) {
+            socket.emit('error', { message: 'Invalid team config' });
+            return;
+        }
+
+        const predictionConfig = normalizePredictionConfig(data.prediction, data.rule);
+        if (!predictionConfig) {
+            socket.emit('error', { message: 'Invalid prediction config' });
+            return;
+        }
+
+        const finishTimeout = normalizeFinishTimeoutConfig(data.finishTimeout);
+        if (finishTimeout === false) {
+            socket.emit('error', { message: 'Invalid finish timeout config' });
+            return;
+        }
+
+        const survival = normalizeSurvivalConfig(data.survival);
+        if (survival === false) {
+            socket.emit('error', { message: 'Invalid survival config' });
+            return;
+        }
+
+        const room = new Room({
+            name: data.name,
+            rule: data.rule,
+            password: data.password,
+            ownerId: userId,
+            scoring,
+            tieBreaker,
+            teamMode,
+            predictionConfig,
+            readyCheck: !!data.readyCheck,
+            finishTimeout,
+            maxPlayers: data.maxPlayers || null,
+            maxSpectators: data.maxSpectators || null,
+            survival
+        });
+        room.addMember(userId);
+        user.roomId = room.id;
+        // API経由のユーザーは初期でプレイヤー、Web経由は観戦者
+        user.role = user.type === 'api' ? 'player' : 'spectator';
+        
+        rooms.set(room.id, room);
+        scheduleSave(room, user);
+        socket.join(`room_${room.id}`);
+
+        socket.emit('roomCreated', { roomId: room.id });
+        io.emit('roomListUpdated');
+        notifyWebhooks('roomCreated', room, room.getInfo());
+        
+        console.log(`Room "${room.name}" created by ${user.username} (${user.type}) as ${user.role}`);
+    });
+
+    // 部屋入室 (Webクライアント)
+    socket.on('joinRoom', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = rooms.get(data.roomId);
+
+        if (!user) {
+            socket.emit('error', { message: 'User not found' });
+            return;
+        }
+
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
+            return;
+        }
+
+        if (room.password && room.password !== data.password) {
+            socket.emit('error', { message: 'Invalid password' });
+            return;
+        }
+
+        const joinError = getJoinError(room, user);
+        if (joinError) {
+            socket.emit('error', { message: joinError });
+            return;
+        }
+
+        // 既に他の部屋にいる場合は退出（同じ部屋に入り直す場合は部屋主・共同ホストを維持する）
+        const oldRoom = user.roomId && user.roomId !== data.roomId ? rooms.get(user.roomId) : null;
+        if (user.roomId && user.roomId !== data.roomId) {
+            socket.leave(`room_${user.roomId}`);
+            if (oldRoom) {
+                if (oldRoom.removeMember(userId)) {
+                    emitHostsChanged(oldRoom);
+                }
+                io.to(`room_${user.roomId}`).emit('memberLeft', {
+                    userId: userId,
+                    username: user.username
+                });
+                notifyWebhooks('memberLeft', oldRoom, { userId: userId, username: user.username, reason: 'left' });
+                postSystemMessage(oldRoom, 'memberLeft', `${user.username} が退室しました`);
+            }
+        }
+
+        room.addMember(userId);
+        user.roomId = data.roomId;
+        // API経由のユーザーは初期でプレイヤー、Web経由は観戦者（サバイバルで脱落したプレイヤーは観戦者）
+        user.role = user.type === 'api' && !room.isEliminated(userId) ? 'player' : 'spectator';
+        scheduleSave(oldRoom, room, user);
+
+        socket.join(`room_${data.roomId}`);
+
+        // 部屋情報を送信
+        emitJoinedRoom(socket, room);
+
+        // 他のメンバーに通知
+        socket.to(`room_${data.roomId}`).emit('memberJoined', {
+            userId: user.id,
+            username: user.username,
+            type: user.type,
+            role: user.role,
+            points: user.points,
+            coins: user.coins
+        });
+        notifyWebhooks('memberJoined', room, { userId: user.id, username: user.username, type: user.type, role: user.role });
+        postSystemMessage(room, 'memberJoined', `${user.username} が入室しました`);
+
+        console.log(`${user.username} (${user.type}) joined room ${room.name} as ${user.role}`);
+    });
+
+    // 入室の受付の停止・再開 (部屋主のみ)
+    socket.on('setRoomLocked', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
+
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        setRoomLocked(room, data.locked);
+        console.log(`Room ${room.name} ${data.locked ? 'locked' : 'unlocked'} by ${user.username}`);
+    });
+
+    // 部屋削除 (部屋主のみ)
+    socket.on('deleteRoom', () => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
+
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        deleteRoom(room, 'owner');
+    });
+
+    // ロール変更
+    socket.on('changeRole', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+
+        if (!user || !user.roomId) {
+            socket.emit('error', { message: 'User not in room' });
+            return;
+        }
+
+        const room = rooms.get(user.roomId);
+        if (room && data.role === 'player' && room.isEliminated(user.id)) {
+            socket.emit('error', { message: 'Player has been eliminated' });
+            return;
+        }
+
+        if (room && data.role !== user.role && room.isRoleFull(data.role, user.id)) {
+            socket.emit('error', { message: 'No free slot for this role' });
+            return;
+        }
+
+        user.role = data.role;
+        scheduleSave(user);
+
+        io.to(`room_${user.roomId}`).emit('roleChanged', {
+            userId: user.id,
+            username: user.username,
+            role: user.role
+        });
+
+        // プレイヤーが観戦者になった場合、残りのプレイヤーが全員終了していれば曲を確定
+        tryFinishSong(user.roomId);
+    });
+
+    // メンバーのロール変更 (部屋主・changeRole の権限を持つ共同ホスト)
+    socket.on('changeMemberRole', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const targetUser = users.get(data.targetUserId);
+
+        console.log(`Role change request: user=${userId}, target=${data.targetUserId}, newRole=${data.role}`);
+
+        if (!user || !user.roomId) {
+            console.log('Error: User not in room');
+            socket.emit('error', { message: 'User not in room' });
+            return;
+        }
+
+        const room = rooms.get(user.roomId);
+        if (!room || !room.hasPermission(userId, 'changeRole')) {
+            console.log('Error: Permission denied', { roomOwnerId: room?.ownerId, userId });
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        if (!targetUser) {
+            console.log('Warning: Target user not found, removing from room member list', { targetUserId: data.targetUserId });
+            
+            // ユーザーが見つからない場合、部屋のメンバーリストから削除
+            if (room.members.has(data.targetUserId)) {
+                if (room.removeMember(data.targetUserId)) {
+                    emitHostsChanged(room);
+                }
+                
+                // クライアントに削除を通知
+                io.to(`room_${user.roomId}`).emit('memberLeft', {
+                    userId: data.targetUserId,
+                    username: 'Unknown User'
+                });
+                
+                console.log(`Removed missing user ${data.targetUserId} from room member list`);
+            }
+            
+            socket.emit('error', { message: 'Target user not found and removed from member list' });
+            return;
+        }
+
+        if (targetUser.roomId !== user.roomId) {
+            console.log('Error: Target user not in same room', { 
+                targetRoomId: targetUser.roomId, 
+                currentRoomId: user.roomId 
+            });
+            socket.emit('error', { message: 'Target user not in same room' });
+            return;
+        }
+
+        // API経由のユーザーのみロール変更可能
+        if (targetUser.type !== 'api') {
+            console.log('Error: Can only change role of API users', { targetUserType: targetUser.type });
+            socket.emit('error', { message: 'Can only change role of API users' });
+            return;
+        }
+
+        // 脱落したプレイヤーは revivePlayer で復活させる
+        if (data.role === 'player' && room.isEliminated(targetUser.id)) {
+            socket.emit('error', { message: 'Player has been eliminated' });
+            return;
+        }
+
+        if (data.role !== targetUser.role && room.isRoleFull(data.role, targetUser.id)) {
+            socket.emit('error', { message: 'No free slot for this role' });
+            return;
+        }
+
+        const oldRole = targetUser.role;
+        targetUser.role = data.role;
+        scheduleSave(targetUser);
+
+        console.log(`Role changed successfully: ${targetUser.username} from ${oldRole} to ${data.role}`);
+
+        io.to(`room_${user.roomId}`).emit('roleChanged', {
+            userId: targetUser.id,
+            username: targetUser.username,
+            role: targetUser.role
+        });
+
+        tryFinishSong(user.roomId);
+    });
+
+    // メンバーキック (部屋主・kick の権限を持つ共同ホスト)
+    socket.on('kickMember', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const targetUser = users.get(data.targetUserId);
+
+        console.log(`Kick request: owner=${userId}, target=${data.targetUserId}`);
+
+        if (!user || !user.roomId) {
+            console.log('Error: User not in room');
+            socket.emit('error', { message: 'User not in room' });
+            return;
+        }
+
+        const room = rooms.get(user.roomId);
+        if (!room || !room.hasPermission(userId, 'kick')) {
+            console.log('Error: Permission denied', { roomOwnerId: room?.ownerId, userId });
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        if (!targetUser) {
+            console.log('Warning: Target user not found, removing from room member list', { targetUserId: data.targetUserId });
+            
+            // ユーザーが見つからない場合、部屋のメンバーリストから削除
+            if (room.members.has(data.targetUserId)) {
+                if (room.removeMember(data.targetUserId)) {
+                    emitHostsChanged(room);
+                }
+                
+                // クライアントに削除を通知
+                io.to(`room_${room.id}`).emit('memberLeft', {
+                    userId: data.targetUserId,
+                    username: 'Unknown User'
+                });
+                
+                console.log(`Removed missing user ${data.targetUserId} from room member list`);
+            }
+            
+            socket.emit('error', { message: 'Target user not found and removed from member list' });
+            return;
+        }
+
+        if (targetUser.roomId !== user.roomId) {
+            console.log('Error: Target user not in same room', { 
+                targetRoomId: targetUser.roomId, 
+                currentRoomId: user.roomId 
+            });
+            socket.emit('error', { message: 'Target user not in same room' });
+            return;
+        }
+
+        // 部屋主は追放できない
+        if (targetUser.id === room.ownerId) {
+            socket.emit('error', { message: 'Cannot kick the owner' });
+            return;
+        }
+
+        console.log(`Kicking ${targetUser.username} from room ${room.name}`);
+
+        // メンバーを部屋から削除
+        if (room.removeMember(data.targetUserId)) {
+            emitHostsChanged(room);
+        }
+        targetUser.roomId = null;
+        targetUser.role = 'spectator';
+        scheduleSave(room, targetUser);
+
+        // 全員に通知
+        io.to(`room_${room.id}`).emit('memberKicked', {
+            userId: data.targetUserId,
+            username: targetUser.username
+        });
+        notifyWebhooks('memberLeft', room, { userId: data.targetUserId, username: targetUser.username, reason: 'kicked' });
+        postSystemMessage(room, 'memberKicked', `${targetUser.username} が追放されました`);
 
-    console.log(`Score submitted by ${user.username}: normal=${normalScore}, ex=${exScore}, rule=${room.rule}`);
-});
+        // ソケット接続があれば部屋から退出（他のインスタンスに接続している場合も含む）
+        if (targetUser.socketId) {
+            io.in(targetUser.socketId).socketsLeave(`room_${room.id}`);
+            io.to(targetUser.socketId).emit('kicked');
+            console.log(`Removed socket connection for kicked user ${targetUser.username}`);
+        }
 
-// 管理者による部屋削除API
-app.post('/api/admin/rooms/:roomId/delete', (req, res) => {
-    const { roomId } = req.params;
-    const { adminPassword } = req.body;
+        console.log(`Successfully kicked ${targetUser.username}`);
 
-    // 管理者パスワードチェック
-    if (adminPassword !== ADMIN_PASSWORD) {
-        return res.status(403).json({ error: 'Invalid admin password' });
-    }
+        tryFinishSong(room.id);
+    });
 
-    const room = rooms.get(roomId);
-    if (!room) {
-        return res.status(404).json({ error: 'Room not found' });
-    }
+    // ポイントリセット (部屋主・resetPoints の権限を持つ共同ホスト)
+    socket.on('resetPoints', () => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
 
-    console.log(`Admin deleting room ${room.name}`);
+        if (!user || !user.roomId) {
+            socket.emit('error', { message: 'User not in room' });
+            return;
+        }
 
-    // 全メンバーを退出させる（部屋主を含む）
-    const memberIds = Array.from(room.members);
-    memberIds.forEach(memberId => {
-        const member = users.get(memberId);
-        if (member) {
-            // メンバーの状態をリセット
-            member.roomId = null;
-            member.role = 'spectator';
-            
-            // WebSocketがある場合は部屋から退出
-            if (member.socketId) {
-                const memberSocket = io.sockets.sockets.get(member.socketId);
-                if (memberSocket) {
-                    memberSocket.leave(`room_${room.id}`);
-                }
-            }
-            
-            console.log(`Removed member ${member.username} from deleted room`);
+        const room = rooms.get(user.roomId);
+        if (!room || !room.hasPermission(userId, 'resetPoints')) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
         }
-    });
 
-    // 部屋のメンバーリストをクリア
-    room.members.clear();
+        // 全メンバーのポイントをリセット
+        room.getMemberList().forEach(member => {
+            member.points = 0;
+        });
+        room.teamPoints = {};
+        scheduleSave(room, ...room.getMemberList());
 
-    // 部屋削除の通知を送信
-    io.to(`room_${room.id}`).emit('roomDeleted');
-    
-    // 部屋を削除
-    rooms.delete(room.id);
-    
-    // タイマーとタイムスタンプもクリア
-    if (updateTimers.has(room.id)) {
-        clearTimeout(updateTimers.get(room.id));
-        updateTimers.delete(room.id);
-    }
-    lastUpdateTime.delete(room.id);
-    
-    // 部屋一覧の更新を通知
-    io.emit('roomListUpdated');
-    
-    console.log(`Room ${room.name} deleted by admin`);
+        io.to(`room_${user.roomId}`).emit('pointsReset', {
+            members: room.getMemberList(),
+            teamPoints: room.teamPoints
+        });
+        notifyWebhooks('pointsReset', room, { resetBy: { userId: user.id, username: user.username } });
+    });
 
-    res.json({ success: true });
-});
+    // 進行中の曲を無効にする (部屋主・voidSong の権限を持つ共同ホスト)
+    socket.on('voidSong', () => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
 
-// バッチ処理でランキング更新（確実な定期更新）
-function batchUpdateRankings(roomId) {
-    const now = Date.now();
-    const lastUpdate = lastUpdateTime.get(roomId) || 0;
-    const timeSinceLastUpdate = now - lastUpdate;
-    
-    // 最後の更新から150ms以上経過している場合は即座に更新
-    if (timeSinceLastUpdate >= 150) {
-        performRankingUpdate(roomId);
-        return;
-    }
-    
-    // タイマーが既に動いている場合は何もしない
-    if (updateTimers.has(roomId)) {
-        return;
-    }
+        if (!room || !room.hasPermission(userId, 'voidSong')) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
 
-    // 残り時間後に更新を予定
-    const remainingTime = 200 - timeSinceLastUpdate;
-    const timer = setTimeout(() => {
-        performRankingUpdate(roomId);
-        updateTimers.delete(roomId);
-    }, remainingTime);
+        if (!room.currentSong) {
+            socket.emit('error', { message: 'Song has not started' });
+            return;
+        }
 
-    updateTimers.set(roomId, timer);
-    console.log(`Scheduled ranking update for room ${roomId} in ${remainingTime}ms`);
-}
+        voidSong(room, user);
+    });
 
-// 実際のランキング更新処理
-function performRankingUpdate(roomId) {
-    const room = rooms.get(roomId);
-    if (room && room.currentSong) {
-        const rankings = room.currentSong.calculateRankings(room.rule);
-        
-        lastUpdateTime.set(roomId, Date.now());
-        
-        console.log(`Ranking update for room ${roomId}:`, 
-            rankings.map(r => `${r.username}: ${r.score}`).join(', '));
-        
-        // WebSocket通知
-        io.to(`room_${roomId}`).emit('rankingsUpdated', rankings);
-    }
-}
+    // 部屋主の譲渡 (部屋主のみ)
+    socket.on('transferOwnership', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
 
-// 曲終了通知
-app.post('/api/rooms/:roomId/finish', (req, res) => {
-    const { roomId } = req.params;
-    const { userId } = req.body;
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
 
-    const room = rooms.get(roomId);
-    const user = users.get(userId);
+        const targetError = getHostTargetError(room, data.targetUserId);
+        if (targetError) {
+            socket.emit('error', { message: targetError });
+            return;
+        }
 
-    if (!room || !user || user.roomId !== roomId) {
-        return res.status(404).json({ error: 'Room or user not found' });
-    }
+        transferRoomOwnership(room, data.targetUserId);
+        console.log(`Room ${room.name} ownership transferred from ${user.username} to ${data.targetUserId}`);
+    });
 
-    if (!room.currentSong) {
-        return res.status(400).json({ error: 'No active song' });
-    }
+    // 共同ホストの設定 (部屋主のみ)
+    socket.on('setCoHost', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
 
-    room.currentSong.finishUser(userId);
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
 
-    // 即座にレスポンスを返す
-    res.json({ success: true });
+        const targetError = getHostTargetError(room, data.targetUserId);
+        if (targetError) {
+            socket.emit('error', { message: targetError });
+            return;
+        }
 
-    // 非同期で後続処理を実行
-    setImmediate(() => {
-        // WebSocketクライアントに通知
-        io.to(`room_${roomId}`).emit('userFinished', {
-            userId: userId,
-            username: user.username
-        });
+        setCoHost(room, data.targetUserId, data.permissions);
+    });
 
-        // 全プレイヤーが終了したかチェック
-        if (room.currentSong.isAllPlayersFinished(room)) {
-            const rankings = room.currentSong.calculateRankings(room.rule);
-            
-            // ポイント付与 (1位: 2pt, 2位: 1pt)
-            if (rankings.length >= 1) {
-                const firstPlace = users.get(rankings[0].userId);
-                if (firstPlace) firstPlace.points += 2;
-            }
-            if (rankings.length >= 2) {
-                const secondPlace = users.get(rankings[1].userId);
-                if (secondPlace) secondPlace.points += 1;
-            }
+    // チーム割り当て (部屋主のみ)
+    socket.on('assignTeam', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
 
-            room.currentSong.finishedAt = new Date();
-            room.songHistory.push(room.currentSong);
-            room.currentSong = null;
+        if (!user || !user.roomId) {
+            socket.emit('error', { message: 'User not in room' });
+            return;
+        }
 
-            // 最終結果を送信
-            io.to(`room_${roomId}`).emit('songFinished', {
-                rankings: rankings,
-                members: room.getMemberList()
-            });
+        const room = rooms.get(user.roomId);
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
         }
-    });
-});
 
-// WebSocket接続処理
-io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
+        if (!room.teamMode) {
+            socket.emit('error', { message: 'Team mode is not enabled' });
+            return;
+        }
 
-    // Webクライアントからの接続
-    socket.on('webConnect', (data) => {
-        const { username } = data;
-        
-        if (!username) {
-            socket.emit('error', { message: 'Username is required' });
+        if (!room.members.has(data.targetUserId)) {
+            socket.emit('error', { message: 'Target user not in same room' });
             return;
         }
 
-        const user = new User(username, 'web');
-        user.socketId = socket.id;
-        users.set(user.id, user);
-        socketToUser.set(socket.id, user.id);
+        // nullでチームから外す
+        if (data.team === null) {
+            delete room.teamAssignments[data.targetUserId];
+        } else if (room.teamMode.teams.includes(data.team)) {
+            room.teamAssignments[data.targetUserId] = data.team;
+        } else {
+            socket.emit('error', { message: 'Invalid team' });
+            return;
+        }
+        scheduleSave(room);
 
-        socket.emit('connected', {
-            userId: user.id,
-            username: user.username
+        io.to(`room_${room.id}`).emit('teamAssigned', {
+            userId: data.targetUserId,
+            team: data.team
         });
+
+        // 曲の途中でも集計に反映
+        batchUpdateRankings(room.id);
     });
 
-    // 部屋作成 (Webクライアント)
-    socket.on('createRoom', (data) => {
+    // サバイバルの設定・解除 (部屋主のみ)
+    // 脱落者がいる間は脱落人数のみ変更し、解除した場合は脱落者・勝者の記録を消す
+    socket.on('setSurvival', (data) => {
         const userId = socketToUser.get(socket.id);
         const user = users.get(userId);
-        
-        if (!user) {
-            socket.emit('error', { message: 'User not found' });
+
+        if (!user || !user.roomId) {
+            socket.emit('error', { message: 'User not in room' });
             return;
         }
 
-        const room = new Room(data.name, data.rule, data.password, userId);
-        room.addMember(userId);
-        user.roomId = room.id;
-        // API経由のユーザーは初期でプレイヤー、Web経由は観戦者
-        user.role = user.type === 'api' ? 'player' : 'spectator';
-        
-        rooms.set(room.id, room);
-        socket.join(`room_${room.id}`);
+        const room = rooms.get(user.roomId);
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
 
-        socket.emit('roomCreated', { roomId: room.id });
-        io.emit('roomListUpdated');
-        
-        console.log(`Room "${room.name}" created by ${user.username} (${user.type}) as ${user.role}`);
+        const survival = normalizeSurvivalConfig(data.survival);
+        if (survival === false) {
+            socket.emit('error', { message: 'Invalid survival config' });
+            return;
+        }
+
+        room.survival = survival;
+        if (!survival) {
+            room.eliminated = [];
+            room.survivalWinner = null;
+        }
+        scheduleSave(room);
+        emitSurvivalUpdate(room);
     });
 
-    // 部屋入室 (Webクライアント)
-    socket.on('joinRoom', (data) => {
+    // 脱落したプレイヤーの復活 (部屋主のみ)
+    socket.on('revivePlayer', (data) => {
         const userId = socketToUser.get(socket.id);
         const user = users.get(userId);
-        const room = rooms.get(data.roomId);
 
-        if (!user) {
-            socket.emit('error', { message: 'User not found' });
+        if (!user || !user.roomId) {
+            socket.emit('error', { message: 'User not in room' });
             return;
         }
 
-        if (!room) {
-            socket.emit('error', { message: 'Room not found' });
+        const room = rooms.get(user.roomId);
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
             return;
         }
 
-        if (room.password && room.password !== data.password) {
-            socket.emit('error', { message: 'Invalid password' });
+        if (!room.isEliminated(data.targetUserId)) {
+            socket.emit('error', { message: 'Player is not eliminated' });
             return;
         }
 
-        // 既に他の部屋にいる場合は退出
-        if (user.roomId) {
-            socket.leave(`room_${user.roomId}`);
-            const oldRoom = rooms.get(user.roomId);
-            if (oldRoom) {
-                oldRoom.removeMember(userId);
-                io.to(`room_${user.roomId}`).emit('memberLeft', {
-                    userId: userId,
-                    username: user.username
-                });
-            }
+        // 部屋に残っているAPIユーザーはプレイヤーに戻す
+        const targetUser = users.get(data.targetUserId);
+        const rejoins = !!targetUser && targetUser.roomId === room.id && targetUser.type === 'api' && targetUser.role !== 'player';
+        if (rejoins && room.isRoleFull('player', targetUser.id)) {
+            socket.emit('error', { message: 'No free slot for this role' });
+            return;
         }
 
-        room.addMember(userId);
-        user.roomId = data.roomId;
-        // API経由のユーザーは初期でプレイヤー、Web経由は観戦者
-        user.role = user.type === 'api' ? 'player' : 'spectator';
+        room.eliminated = room.eliminated.filter(entry => entry.userId !== data.targetUserId);
+        // 勝者が決まった後でも復活させた場合は続行する
+        room.survivalWinner = null;
+        if (rejoins) {
+            targetUser.role = 'player';
+            scheduleSave(targetUser);
+            io.to(`room_${room.id}`).emit('roleChanged', {
+                userId: targetUser.id,
+                username: targetUser.username,
+                role: targetUser.role
+            });
+            postSystemMessage(room, 'playerRevived', `${targetUser.username} が復活しました`);
+        }
+        scheduleSave(room);
+        emitSurvivalUpdate(room);
+    });
 
-        socket.join(`room_${data.roomId}`);
+    // ハンデの設定 (部屋主のみ)
+    socket.on('setHandicap', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
 
-        // 部屋情報を送信
-        socket.emit('joinedRoom', {
-            room: {
-                id: room.id,
-                name: room.name,
-                rule: room.rule,
-                ownerId: room.ownerId
-            },
-            members: room.getMemberList(),
-            currentSong: room.currentSong,
-            songHistory: room.songHistory
-        });
+        if (!user || !user.roomId) {
+            socket.emit('error', { message: 'User not in room' });
+            return;
+        }
+
+        const room = rooms.get(user.roomId);
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        if (!room.members.has(data.targetUserId)) {
+            socket.emit('error', { message: 'Target user not in same room' });
+            return;
+        }
+
+        // nullでハンデを外す
+        const handicap = normalizeHandicapConfig(data.handicap);
+        if (handicap === false) {
+            socket.emit('error', { message: 'Invalid handicap' });
+            return;
+        }
+        if (handicap) {
+            room.handicaps[data.targetUserId] = handicap;
+        } else {
+            delete room.handicaps[data.targetUserId];
+        }
+        scheduleSave(room);
 
-        // 他のメンバーに通知
-        socket.to(`room_${data.roomId}`).emit('memberJoined', {
-            userId: user.id,
-            username: user.username,
-            type: user.type,
-            role: user.role,
-            points: user.points
+        io.to(`room_${room.id}`).emit('handicapChanged', {
+            userId: data.targetUserId,
+            handicap: handicap
         });
 
-        console.log(`${user.username} (${user.type}) joined room ${room.name} as ${user.role}`);
+        // 曲の途中でも順位に反映
+        batchUpdateRankings(room.id);
     });
 
-    // ロール変更
-    socket.on('changeRole', (data) => {
+    // ゴーストの設定 (部屋主のみ)
+    socket.on('setGhost', (data) => {
         const userId = socketToUser.get(socket.id);
         const user = users.get(userId);
 
@@ -613,162 +3942,112 @@ io.on('connection', (socket) => {
             return;
         }
 
-        user.role = data.role;
+        const room = rooms.get(user.roomId);
+        if (!room || room.ownerId !== userId) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
 
-        io.to(`room_${user.roomId}`).emit('roleChanged', {
-            userId: user.id,
-            username: user.username,
-            role: user.role
-        });
+        // nullでゴーストを外す
+        const ghost = normalizeGhostConfig(data.ghost);
+        if (ghost === false) {
+            socket.emit('error', { message: 'Invalid ghost config' });
+            return;
+        }
+        room.ghost = ghost;
+        scheduleSave(room);
+
+        io.to(`room_${room.id}`).emit('ghostChanged', { ghost: ghost });
+        batchUpdateRankings(room.id);
     });
 
-    // メンバーのロール変更 (部屋主のみ)
-    socket.on('changeMemberRole', (data) => {
+    // 勝敗予想 (観戦者のみ)
+    socket.on('placeBet', (data) => {
         const userId = socketToUser.get(socket.id);
         const user = users.get(userId);
-        const targetUser = users.get(data.targetUserId);
-
-        console.log(`Role change request: user=${userId}, target=${data.targetUserId}, newRole=${data.role}`);
 
         if (!user || !user.roomId) {
-            console.log('Error: User not in room');
             socket.emit('error', { message: 'User not in room' });
             return;
         }
 
         const room = rooms.get(user.roomId);
-        if (!room || room.ownerId !== userId) {
-            console.log('Error: Permission denied', { roomOwnerId: room?.ownerId, userId });
-            socket.emit('error', { message: 'Permission denied' });
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
             return;
         }
 
-        if (!targetUser) {
-            console.log('Warning: Target user not found, removing from room member list', { targetUserId: data.targetUserId });
-            
-            // ユーザーが見つからない場合、部屋のメンバーリストから削除
-            if (room.members.has(data.targetUserId)) {
-                room.removeMember(data.targetUserId);
-                
-                // クライアントに削除を通知
-                io.to(`room_${user.roomId}`).emit('memberLeft', {
-                    userId: data.targetUserId,
-                    username: 'Unknown User'
-                });
-                
-                console.log(`Removed missing user ${data.targetUserId} from room member list`);
-            }
-            
-            socket.emit('error', { message: 'Target user not found and removed from member list' });
+        if (user.role !== 'spectator') {
+            socket.emit('error', { message: 'Only spectators can place bets' });
             return;
         }
 
-        if (targetUser.roomId !== user.roomId) {
-            console.log('Error: Target user not in same room', { 
-                targetRoomId: targetUser.roomId, 
-                currentRoomId: user.roomId 
-            });
-            socket.emit('error', { message: 'Target user not in same room' });
+        const target = users.get(data.targetUserId);
+        if (!target || !room.members.has(target.id) || target.role !== 'player') {
+            socket.emit('error', { message: 'Target is not a player in this room' });
             return;
         }
 
-        // API経由のユーザーのみロール変更可能
-        if (targetUser.type !== 'api') {
-            console.log('Error: Can only change role of API users', { targetUserType: targetUser.type });
-            socket.emit('error', { message: 'Can only change role of API users' });
+        // ランキング更新を待たずに締め切りを確認
+        closePredictionIfReached(room);
+        if (!room.prediction.open) {
+            socket.emit('error', { message: 'Predictions are closed' });
             return;
         }
 
-        const oldRole = targetUser.role;
-        targetUser.role = data.role;
+        // 賭け直す場合は以前の賭け金を戻してから確認
+        const previous = room.prediction.bets.get(userId);
+        const available = user.coins + (previous ? previous.amount : 0);
+        if (data.amount > available) {
+            socket.emit('error', { message: 'Not enough coins' });
+            return;
+        }
 
-        console.log(`Role changed successfully: ${targetUser.username} from ${oldRole} to ${data.role}`);
+        room.prediction.placeBet(userId, target.id, data.amount);
+        user.coins = available - data.amount;
+        scheduleSave(room, user);
 
-        io.to(`room_${user.roomId}`).emit('roleChanged', {
-            userId: targetUser.id,
-            username: targetUser.username,
-            role: targetUser.role
+        socket.emit('betPlaced', {
+            targetUserId: target.id,
+            amount: data.amount,
+            coins: user.coins
         });
+        emitPredictionUpdate(room);
+
+        console.log(`${user.username} bet ${data.amount} coins on ${target.username} in room ${room.name}`);
     });
 
-    // メンバーキック (部屋主のみ)
-    socket.on('kickMember', (data) => {
+    // 準備完了の設定 (準備確認ありの部屋のプレイヤーのみ)
+    socket.on('setReady', (data) => {
         const userId = socketToUser.get(socket.id);
         const user = users.get(userId);
-        const targetUser = users.get(data.targetUserId);
-
-        console.log(`Kick request: owner=${userId}, target=${data.targetUserId}`);
 
         if (!user || !user.roomId) {
-            console.log('Error: User not in room');
             socket.emit('error', { message: 'User not in room' });
             return;
         }
 
         const room = rooms.get(user.roomId);
-        if (!room || room.ownerId !== userId) {
-            console.log('Error: Permission denied', { roomOwnerId: room?.ownerId, userId });
-            socket.emit('error', { message: 'Permission denied' });
+        if (!room) {
+            socket.emit('error', { message: 'Room not found' });
             return;
         }
 
-        if (!targetUser) {
-            console.log('Warning: Target user not found, removing from room member list', { targetUserId: data.targetUserId });
-            
-            // ユーザーが見つからない場合、部屋のメンバーリストから削除
-            if (room.members.has(data.targetUserId)) {
-                room.removeMember(data.targetUserId);
-                
-                // クライアントに削除を通知
-                io.to(`room_${room.id}`).emit('memberLeft', {
-                    userId: data.targetUserId,
-                    username: 'Unknown User'
-                });
-                
-                console.log(`Removed missing user ${data.targetUserId} from room member list`);
-            }
-            
-            socket.emit('error', { message: 'Target user not found and removed from member list' });
+        if (!room.readyCheck) {
+            socket.emit('error', { message: 'Ready check is not enabled' });
             return;
         }
 
-        if (targetUser.roomId !== user.roomId) {
-            console.log('Error: Target user not in same room', { 
-                targetRoomId: targetUser.roomId, 
-                currentRoomId: user.roomId 
-            });
-            socket.emit('error', { message: 'Target user not in same room' });
+        if (user.role !== 'player') {
+            socket.emit('error', { message: 'Only players can be ready' });
             return;
         }
 
-        console.log(`Kicking ${targetUser.username} from room ${room.name}`);
-
-        // メンバーを部屋から削除
-        room.removeMember(data.targetUserId);
-        targetUser.roomId = null;
-        targetUser.role = 'spectator';
-
-        // 全員に通知
-        io.to(`room_${room.id}`).emit('memberKicked', {
-            userId: data.targetUserId,
-            username: targetUser.username
-        });
-
-        // ソケット接続があれば部屋から退出
-        if (targetUser.socketId) {
-            const targetSocket = io.sockets.sockets.get(targetUser.socketId);
-            if (targetSocket) {
-                targetSocket.leave(`room_${room.id}`);
-                targetSocket.emit('kicked');
-                console.log(`Removed socket connection for kicked user ${targetUser.username}`);
-            }
-        }
-
-        console.log(`Successfully kicked ${targetUser.username}`);
+        setReady(room, user, data.ready !== false);
     });
 
-    // ポイントリセット (部屋主のみ)
-    socket.on('resetPoints', () => {
+    // カウントダウン開始 (部屋主のみ)
+    socket.on('startCountdown', (data) => {
         const userId = socketToUser.get(socket.id);
         const user = users.get(userId);
 
@@ -783,35 +4062,125 @@ io.on('connection', (socket) => {
             return;
         }
 
-        // 全メンバーのポイントをリセット
-        room.getMemberList().forEach(member => {
-            member.points = 0;
-        });
+        const error = getCountdownError(room, data.force);
+        if (error) {
+            socket.emit('error', { message: error });
+            return;
+        }
 
-        io.to(`room_${user.roomId}`).emit('pointsReset', {
-            members: room.getMemberList()
-        });
+        startCountdown(room, data.seconds);
+        console.log(`Countdown started in room ${room.name}`);
     });
 
     // チャット送信
     socket.on('sendMessage', (data) => {
         const userId = socketToUser.get(socket.id);
         const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
 
-        if (!user || !user.roomId) {
+        if (!room) {
             socket.emit('error', { message: 'User not in room' });
             return;
         }
 
-        const message = {
+        if (room.mutedUsers.includes(user.id)) {
+            socket.emit('error', { message: 'You are muted' });
+            return;
+        }
+
+        if (checkRateLimit('chat', user.id, getSocketAddress(socket))) {
+            socket.emit('error', { message: 'Too many messages' });
+            return;
+        }
+
+        // 低速モード（チャットの管理権限を持つメンバーは対象外）
+        if (room.chatSlowMode > 0 && !room.hasPermission(user.id, 'moderateChat')) {
+            const waitMs = (lastChatTimes.get(user.id) || 0) + room.chatSlowMode * 1000 - Date.now();
+            if (waitMs > 0) {
+                socket.emit('error', { message: 'Slow mode is enabled', retryAfter: Math.ceil(waitMs / 1000) });
+                return;
+            }
+        }
+        lastChatTimes.set(user.id, Date.now());
+
+        room.lastActivityAt = new Date();
+        addChatMessage(room, {
             id: uuidv4(),
+            type: 'user',
             userId: user.id,
             username: user.username,
             message: data.message,
             timestamp: new Date()
-        };
+        });
+    });
+
+    // チャットのメッセージ削除 (部屋主・moderateChat の権限を持つ共同ホスト)
+    socket.on('deleteMessage', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
+
+        if (!room || !room.hasPermission(userId, 'moderateChat')) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        const index = room.chatHistory.findIndex(message => message.id === data.messageId);
+        if (index === -1) {
+            socket.emit('error', { message: 'Message not found' });
+            return;
+        }
+
+        room.chatHistory.splice(index, 1);
+        stateStore.publish({ type: 'chatDeleted', roomId: room.id, messageId: data.messageId });
+        scheduleSave();
+        io.to(`room_${room.id}`).emit('messageDeleted', { messageId: data.messageId });
+    });
+
+    // チャットの禁止・解除 (部屋主・moderateChat の権限を持つ共同ホスト)
+    socket.on('muteUser', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
+
+        if (!room || !room.hasPermission(userId, 'moderateChat')) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        if (!room.members.has(data.targetUserId)) {
+            socket.emit('error', { message: 'Target user not in same room' });
+            return;
+        }
+
+        // 部屋主はミュートできない
+        if (data.targetUserId === room.ownerId) {
+            socket.emit('error', { message: 'Cannot mute the owner' });
+            return;
+        }
+
+        room.mutedUsers = room.mutedUsers.filter(mutedId => mutedId !== data.targetUserId);
+        if (data.muted) {
+            room.mutedUsers.push(data.targetUserId);
+        }
+        scheduleSave(room);
+        emitChatSettingsChanged(room);
+    });
 
-        io.to(`room_${user.roomId}`).emit('newMessage', message);
+    // 低速モードの設定 (部屋主・moderateChat の権限を持つ共同ホスト)
+    socket.on('setSlowMode', (data) => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+        const room = user && user.roomId ? rooms.get(user.roomId) : null;
+
+        if (!room || !room.hasPermission(userId, 'moderateChat')) {
+            socket.emit('error', { message: 'Permission denied' });
+            return;
+        }
+
+        room.chatSlowMode = data.seconds;
+        scheduleSave(room);
+        emitChatSettingsChanged(room);
     });
 
     // テストデータ送信 (開発環境のみ)
@@ -840,17 +4209,36 @@ io.on('connection', (socket) => {
             return;
         }
 
+        if (checkRateLimit('score', user.id, getSocketAddress(socket))) {
+            socket.emit('error', { message: 'Too many requests' });
+            return;
+        }
+
+        const progress = normalizeProgress(data.progress);
+        if (progress === false) {
+            socket.emit('error', { message: 'Invalid progress' });
+            return;
+        }
+
         // 新しい曲の開始または既存曲へのスコア追加
-        if (!room.currentSong) {
-            room.currentSong = new Song(room.id);
-            console.log(`Started new test song in room ${room.name}`);
+        const song = getScoringSong(room);
+        if (!song) {
+            socket.emit('error', { message: 'Song has not started' });
+            return;
+        }
+
+        if (song.isUserFinished(userId)) {
+            socket.emit('error', { message: 'Player already finished' });
+            return;
         }
 
         // スコア追加（高い方を保持）
-        room.currentSong.addScore(userId, data.normalScore, data.exScore);
+        song.addScore(userId, data.normalScore, data.exScore, progress);
+        shareScore(room, userId);
 
         // WebSocket通知をバッチ処理（確実な定期更新）
         batchUpdateRankings(room.id);
+        scheduleFinishTimeout(room);
         
         console.log(`Test score processed for ${user.username}: ${data.normalScore}/${data.exScore}`);
     });
@@ -877,6 +4265,8 @@ io.on('connection', (socket) => {
         }
 
         room.currentSong.finishUser(userId);
+        shareScore(room, userId);
+        scheduleFinishTimeout(room);
 
         // 非同期で後続処理を実行
         setImmediate(() => {
@@ -886,31 +4276,21 @@ io.on('connection', (socket) => {
             });
 
             // 全プレイヤーが終了したかチェック
-            if (room.currentSong.isAllPlayersFinished(room)) {
-                const rankings = room.currentSong.calculateRankings(room.rule);
-                
-                // ポイント付与
-                if (rankings.length >= 1) {
-                    const firstPlace = users.get(rankings[0].userId);
-                    if (firstPlace) firstPlace.points += 2;
-                }
-                if (rankings.length >= 2) {
-                    const secondPlace = users.get(rankings[1].userId);
-                    if (secondPlace) secondPlace.points += 1;
-                }
-
-                room.currentSong.finishedAt = new Date();
-                room.songHistory.push(room.currentSong);
-                room.currentSong = null;
-
-                io.to(`room_${room.id}`).emit('songFinished', {
-                    rankings: rankings,
-                    members: room.getMemberList()
-                });
-            }
+            tryFinishSong(room.id);
         });
     });
 
+    // トーナメント表の監視
+    socket.on('watchTournament', (data) => {
+        const tournament = tournaments.get(data.tournamentId);
+        if (tournament) {
+            socket.join(`tournament_${tournament.id}`);
+            socket.emit('tournamentUpdated', getTournamentState(tournament));
+        } else {
+            socket.emit('error', { message: 'Tournament not found' });
+        }
+    });
+
     // 可視化画面のための部屋監視
     socket.on('watchRoom', (data) => {
         const room = rooms.get(data.roomId);
@@ -921,7 +4301,18 @@ io.on('connection', (socket) => {
                 id: room.id,
                 name: room.name,
                 rule: room.rule,
-                memberCount: room.members.size
+                scoring: room.scoring,
+                tieBreaker: room.tieBreaker,
+                teamMode: room.teamMode,
+                teamAssignments: room.teamAssignments,
+                teamPoints: room.teamPoints,
+                memberCount: room.members.size,
+                members: room.getMemberList(),
+                currentSong: room.currentSong ? getSongInfo(room.currentSong) : null,
+                countdown: room.countdown,
+                survival: room.survival,
+                eliminated: room.eliminated,
+                survivalWinner: room.survivalWinner
             });
 
             console.log(`Visualizer connected to room ${room.name}`);
@@ -930,50 +4321,141 @@ io.on('connection', (socket) => {
         }
     });
 
+    // 部屋退出 (Webクライアント)
+    socket.on('leaveRoom', () => {
+        const userId = socketToUser.get(socket.id);
+        const user = users.get(userId);
+
+        if (!user || !user.roomId) {
+            return;
+        }
+
+        const room = rooms.get(user.roomId);
+        socket.leave(`room_${user.roomId}`);
+
+        if (room) {
+            if (room.removeMember(userId)) {
+                emitHostsChanged(room);
+            }
+            io.to(`room_${room.id}`).emit('memberLeft', {
+                userId: userId,
+                username: user.username
+            });
+            notifyWebhooks('memberLeft', room, { userId: userId, username: user.username, reason: 'left' });
+            postSystemMessage(room, 'memberLeft', `${user.username} が退室しました`);
+            console.log(`User ${user.username} left room ${room.name}. Room members: ${room.members.size}`);
+        }
+
+        user.roomId = null;
+        user.role = 'spectator';
+        scheduleSave(room, user);
+
+        // 残りのプレイヤーが全員終了していれば曲を確定
+        if (room) {
+            tryFinishSong(room.id);
+        }
+    });
+
     // 切断処理
+    // すぐには部屋から外さず、猶予時間内に再接続すれば部屋・ロール・部屋主を維持する
     socket.on('disconnect', () => {
         console.log('User disconnected:', socket.id);
         
         const userId = socketToUser.get(socket.id);
         if (userId) {
+            socketToUser.delete(socket.id);
+
             const user = users.get(userId);
-            if (user) {
+            if (user && user.socketId === socket.id) {
                 user.isOnline = false;
                 user.socketId = null;
-            
+                shareEntity(user);
+
                 if (user.roomId) {
-                    const room = rooms.get(user.roomId);
-                    if (room) {
-                        room.removeMember(userId);
-                        
-                        // Webクライアントユーザーは完全に削除
-                        if (user.type === 'web') {
-                            users.delete(userId);
-                        }
-                    
-                        io.to(`room_${user.roomId}`).emit('memberLeft', {
-                            userId: userId,
-                            username: user.username
-                        });
-                    
-                        // 自動削除は行わない（管理者削除のみ）
-                        console.log(`User ${user.username} left room ${room.name}. Room members: ${room.members.size}`);
-                    }
-                }
-                
-                // Webクライアントユーザーは完全に削除
-                if (user.type === 'web') {
-                    users.delete(userId);
+                    io.to(`room_${user.roomId}`).emit('memberStatusChanged', {
+                        userId: userId,
+                        username: user.username,
+                        isOnline: false
+                    });
                 }
+
+                disconnectTimers.set(userId, setTimeout(() => {
+                    cleanupDisconnectedUser(userId);
+                }, RECONNECT_GRACE_PERIOD));
+
+                console.log(`User ${user.username} is offline. Waiting ${RECONNECT_GRACE_PERIOD}ms for reconnect`);
             }
-            
-            socketToUser.delete(socket.id);
         }
     });
 });
 
 // サーバー起動
-const PORT = process.env.PORT || 3000;
-server.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// テストなどから同じプロセス内で起動する場合は port に0を指定すると空いているポートを使う
+// 共有ストアに他のインスタンスのデータがあればそれを使い、なければ保存済みのデータを復元して共有する
+async function start(port = process.env.PORT || 3000) {
+    await stateStore.connect();
+    const shared = await stateStore.loadAll(SHARED_COLLECTIONS);
+    if (SHARED_COLLECTIONS.some(collection => shared[collection] && shared[collection].length > 0)) {
+        SHARED_COLLECTIONS.forEach(collection => {
+            shared[collection].forEach(data => applySharedChange(collection, collection === 'sessions' ? data[0] : data.id, data));
+        });
+        console.log(`Loaded ${rooms.size} rooms, ${users.size} users and ${tournaments.size} tournaments from the shared state store`);
+    } else {
+        loadSnapshot();
+        shareAll();
+    }
+
+    // イベントを他のインスタンスに接続しているクライアントにも配信する
+    const adapter = stateStore.createAdapter();
+    if (adapter) {
+        io.adapter(adapter);
+    }
+
+    return new Promise(resolve => {
+        server.listen(port, () => {
+            console.log(`Server running on port ${server.address().port}`);
+            resolve(server);
+        });
+    });
+}
+
+// サーバー停止
+// 接続を閉じた後（切断処理で猶予時間のタイマーが作られるため）保留中のタイマーを止めて保存する
+function stop() {
+    return new Promise(resolve => {
+        io.close(() => {
+            pendingRankings.clear();
+            lastChatTimes.clear();
+            [updateTimers, rankingWindows, disconnectTimers, countdownTimers, finishTimers, webhookTimers].forEach(timers => {
+                timers.forEach(timer => clearTimeout(timer));
+                timers.clear();
+            });
+            saveNow();
+            stateStore.close().then(resolve);
+        });
+    });
+}
+
+if (require.main === module) {
+    // 終了時に保存（Renderの再デプロイ・スリープ時はSIGTERMが送られる）
+    ['SIGTERM', 'SIGINT'].forEach(signal => {
+        process.on(signal, () => {
+            console.log(`Received ${signal}, saving data...`);
+            saveNow();
+            process.exit(0);
+        });
+    });
+
+    start().catch(error => {
+        console.error('Failed to start server:', error);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    app,
+    server,
+    io,
+    start,
+    stop
+};
\ No newline at end of file
@@ -0,0 +1,211 @@
+const { v4: uuidv4 } = require('uuid');
+
+// 長期の成績（シーズン別・通算）
+// プレイヤーはユーザー名とプレイヤートークンの組で識別し、再接続やサーバー再起動をまたいで成績を引き継ぐ
+// 成績は曲の確定時に保存する結果の記録から集計する
+
+// 1シーズンの月数（1月から区切る。1の場合は毎月）
+const SEASON_MONTHS = Number(process.env.SEASON_MONTHS) || 1;
+
+// 日時が属するシーズン（シーズン最初の月の 'YYYY-MM'）
+function getSeasonId(date) {
+    const d = new Date(date);
+    const month = Math.floor(d.getUTCMonth() / SEASON_MONTHS) * SEASON_MONTHS + 1;
+    return `${d.getUTCFullYear()}-${String(month).padStart(2, '0')}`;
+}
+
+function isSeasonId(value) {
+    return typeof value === 'string' && /^\d{4}-(0[1-9]|1[0-2])$/.test(value);
+}
+
+// ユーザー名の比較用（大文字・小文字を区別しない）
+function getUsernameKey(username) {
+    return username.trim().toLowerCase();
+}
+
+// 成績を記録するプレイヤー（トークンはハッシュ値のみ保持）
+class PlayerProfile {
+    constructor(username, tokenHash) {
+        this.id = uuidv4();
+        this.username = username;
+        this.tokenHash = tokenHash;
+        this.createdAt = new Date();
+    }
+
+    get key() {
+        return getUsernameKey(this.username);
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            username: this.username,
+            tokenHash: this.tokenHash,
+            createdAt: this.createdAt
+        };
+    }
+
+    static fromStorage(data) {
+        const profile = new PlayerProfile(data.username, data.tokenHash);
+        profile.id = data.id;
+        profile.createdAt = new Date(data.createdAt);
+        return profile;
+    }
+}
+
+// 確定した曲の結果の記録（プロフィールに紐付いたプレイヤーのみ）
+// profileIds は userId -> profileId、プロフィールのプレイヤーがいない場合はnull
+function createSongRecord(room, song, rankings, profileIds) {
+    const players = rankings
+        .filter(ranking => profileIds.has(ranking.userId))
+        .map(ranking => ({
+            profileId: profileIds.get(ranking.userId),
+            username: ranking.username,
+            rank: ranking.rank,
+            normal: ranking.normal,
+            ex: ranking.ex,
+            dnf: !!ranking.dnf,
+            awardedPoints: ranking.awardedPoints || 0
+        }));
+    if (players.length === 0) {
+        return null;
+    }
+
+    const metadata = song.metadata;
+    return {
+        id: song.id,
+        roomId: room.id,
+        rule: room.rule,
+        season: getSeasonId(song.finishedAt),
+        finishedAt: song.finishedAt,
+        playerCount: rankings.length,
+        chart: metadata ? {
+            title: metadata.title || null,
+            difficulty: metadata.difficulty || null,
+            level: metadata.level || null,
+            chartId: metadata.chartId || null
+        } : null,
+        players
+    };
+}
+
+// 譜面の識別（譜面IDがあればそれを、なければ曲名と難易度を使う）
+function getChartRecordKey(chart) {
+    return chart.chartId ? `id:${chart.chartId}` : `title:${chart.title || ''}|${chart.difficulty || ''}`;
+}
+
+// 集計前（記録なし）の成績
+function createStats(profileId, username) {
+    return {
+        profileId,
+        username,
+        songsPlayed: 0,
+        wins: 0,
+        dnfs: 0,
+        totalRank: 0,
+        points: 0,
+        bestScores: { normal: 0, ex: 0 },
+        charts: new Map(), // chart key -> 譜面ごとの自己ベスト
+        headToHead: new Map() // 相手の profileId -> { username, wins, losses, draws }
+    };
+}
+
+// 記録を集計する（season が null の場合は通算）
+// 1位でも1人だけの曲は勝利に数えない
+// 戻り値は profileId -> 成績
+function aggregateStats(records, season = null) {
+    const stats = new Map();
+    const sorted = records
+        .filter(record => !season || record.season === season)
+        .sort((a, b) => new Date(a.finishedAt) - new Date(b.finishedAt));
+
+    sorted.forEach(record => {
+        record.players.forEach(player => {
+            if (!stats.has(player.profileId)) {
+                stats.set(player.profileId, createStats(player.profileId, player.username));
+            }
+            const entry = stats.get(player.profileId);
+            entry.username = player.username; // 最新の表記を使う
+            entry.songsPlayed++;
+            entry.totalRank += player.rank;
+            entry.points = Math.round((entry.points + player.awardedPoints) * 100) / 100;
+            if (player.dnf) {
+                entry.dnfs++;
+            } else if (player.rank === 1 && record.playerCount > 1) {
+                entry.wins++;
+            }
+
+            entry.bestScores.normal = Math.max(entry.bestScores.normal, player.normal || 0);
+            entry.bestScores.ex = Math.max(entry.bestScores.ex, player.ex || 0);
+            if (record.chart && !player.dnf) {
+                const key = getChartRecordKey(record.chart);
+                const best = entry.charts.get(key) || { ...record.chart, normal: 0, ex: 0, plays: 0 };
+                best.normal = Math.max(best.normal, player.normal || 0);
+                best.ex = Math.max(best.ex, player.ex || 0);
+                best.plays++;
+                entry.charts.set(key, best);
+            }
+
+            // 同じ曲の他のプレイヤーとの対戦成績（順位で比較）
+            record.players.forEach(opponent => {
+                if (opponent.profileId === player.profileId) {
+                    return;
+                }
+                const versus = entry.headToHead.get(opponent.profileId) || { username: opponent.username, wins: 0, losses: 0, draws: 0 };
+                versus.username = opponent.username;
+                if (player.rank < opponent.rank) {
+                    versus.wins++;
+                } else if (player.rank > opponent.rank) {
+                    versus.losses++;
+                } else {
+                    versus.draws++;
+                }
+                entry.headToHead.set(opponent.profileId, versus);
+            });
+        });
+    });
+
+    return stats;
+}
+
+// 公開用の成績（detail が true の場合は譜面ごとの自己ベストと対戦成績を含む）
+function formatStats(entry, detail = false) {
+    const result = {
+        profileId: entry.profileId,
+        username: entry.username,
+        songsPlayed: entry.songsPlayed,
+        wins: entry.wins,
+        dnfs: entry.dnfs,
+        averageRank: entry.songsPlayed > 0 ? Math.round(entry.totalRank / entry.songsPlayed * 100) / 100 : null,
+        points: entry.points,
+        bestScores: entry.bestScores
+    };
+    if (detail) {
+        result.charts = Array.from(entry.charts.values());
+        result.headToHead = Array.from(entry.headToHead.entries())
+            .map(([profileId, versus]) => ({ profileId, ...versus }))
+            .sort((a, b) => (b.wins + b.losses + b.draws) - (a.wins + a.losses + a.draws));
+    }
+    return result;
+}
+
+// 勝利数、平均順位、プレイ曲数の順に並べたランキング
+function buildLeaderboard(stats) {
+    return Array.from(stats.values())
+        .map(entry => formatStats(entry))
+        .sort((a, b) => b.wins - a.wins || a.averageRank - b.averageRank || b.songsPlayed - a.songsPlayed)
+        .map((entry, index) => ({ position: index + 1, ...entry }));
+}
+
+module.exports = {
+    SEASON_MONTHS,
+    getSeasonId,
+    isSeasonId,
+    getUsernameKey,
+    PlayerProfile,
+    createSongRecord,
+    createStats,
+    aggregateStats,
+    formatStats,
+    buildLeaderboard
+};
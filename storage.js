@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+
+// 永続化レイヤー
+// save(snapshot) / load() を実装したクラスであれば差し替え可能
+
+// 何も保存しない(従来通りのメモリのみ動作)
+class MemoryStorage {
+    load() {
+        return null;
+    }
+
+    save(snapshot) {
+        // 何もしない
+    }
+}
+
+// JSONファイルに保存する
+class JsonFileStorage {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            return null;
+        }
+
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            console.error(`Failed to load data from ${this.filePath}:`, error);
+            return null;
+        }
+    }
+
+    save(snapshot) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+        // 書き込み途中で落ちてもファイルが壊れないよう一時ファイル経由で置き換える
+        const tmpPath = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(snapshot));
+        fs.renameSync(tmpPath, this.filePath);
+    }
+}
+
+// 環境変数から保存先を決定
+// STORAGE_TYPE: 'json'(デフォルト) or 'memory'
+// DATA_FILE: JSONファイルのパス
+function createStorage(options = {}) {
+    const type = options.type || process.env.STORAGE_TYPE || 'json';
+
+    switch (type) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'json':
+            return new JsonFileStorage(options.filePath || process.env.DATA_FILE || path.join(__dirname, 'data', 'store.json'));
+        default:
+            throw new Error(`Unknown storage type: ${type}`);
+    }
+}
+
+module.exports = {
+    MemoryStorage,
+    JsonFileStorage,
+    createStorage
+};
@@ -0,0 +1,246 @@
+const { v4: uuidv4 } = require('uuid');
+const { ClusterAdapterWithHeartbeat } = require('socket.io-adapter');
+
+// 複数インスタンスで共有する状態のストア
+// 各インスタンスは部屋・ユーザーなどを手元のMapに持ち、変更をストア経由で他のインスタンスに伝える
+//
+// 共通のインターフェース
+//   connect()                          接続（Promise）
+//   loadAll(collections)               共有されている全データを取得（Promise, { collection: [data] }）
+//   save(collection, id, data)         変更を書き込み、他のインスタンスに通知
+//   remove(collection, id)             削除を書き込み、他のインスタンスに通知
+//   publish(message)                   他のインスタンスにメッセージを送る
+//   onChange(handler)                  他のインスタンスでの変更 (collection, id, data|null) を受け取る
+//   onMessage(handler)                 他のインスタンスからのメッセージを受け取る
+//   acquireLock(key, ttl)              全インスタンスで1つだけが取得できるロック（Promise<boolean>）
+//   createAdapter()                    Socket.IO のアダプター（nullの場合は標準のものを使う）
+//   close()                            切断（Promise）
+
+// 1インスタンスのみで動かす場合（従来通りの動作）
+class MemoryStateStore {
+    constructor() {
+        this.locks = new Map(); // key -> 期限
+    }
+
+    connect() {
+        return Promise.resolve();
+    }
+
+    loadAll() {
+        return Promise.resolve({});
+    }
+
+    save(collection, id, data) {
+        // 他のインスタンスがないため何もしない
+    }
+
+    remove(collection, id) {
+        // 他のインスタンスがないため何もしない
+    }
+
+    publish(message) {
+        // 他のインスタンスがないため何もしない
+    }
+
+    onChange(handler) {
+        // 他のインスタンスがないため何もしない
+    }
+
+    onMessage(handler) {
+        // 他のインスタンスがないため何もしない
+    }
+
+    acquireLock(key, ttl) {
+        const now = Date.now();
+        if ((this.locks.get(key) || 0) > now) {
+            return Promise.resolve(false);
+        }
+        const expiresAt = now + ttl;
+        this.locks.set(key, expiresAt);
+        setTimeout(() => {
+            if (this.locks.get(key) === expiresAt) {
+                this.locks.delete(key);
+            }
+        }, ttl).unref();
+        return Promise.resolve(true);
+    }
+
+    createAdapter() {
+        return null;
+    }
+
+    close() {
+        this.locks.clear();
+        return Promise.resolve();
+    }
+}
+
+// Redis（またはRedis互換のサーバー）で共有する
+// データは prefix:collection のハッシュに、通知は prefix:changes チャンネルで送る
+class RedisStateStore {
+    constructor(url, prefix = 'otoge') {
+        // ioredis は optionalDependencies のため、Redisを使わない場合（npm install --omit=optional）はなくても動くようここで読み込む
+        const Redis = require('ioredis');
+        const options = { lazyConnect: true, maxRetriesPerRequest: 3 };
+
+        this.instanceId = uuidv4();
+        this.prefix = prefix;
+        this.client = new Redis(url, options);
+        this.subscriber = new Redis(url, options);
+        this.changeHandlers = [];
+        this.messageHandlers = [];
+        this.channelHandlers = new Map(); // チャンネル -> Socket.IO アダプター用の受信処理
+    }
+
+    get changesChannel() {
+        return `${this.prefix}:changes`;
+    }
+
+    connect() {
+        this.subscriber.on('message', (channel, payload) => this.handlePayload(channel, payload));
+        this.client.on('error', error => console.error('State store error:', error.message));
+        this.subscriber.on('error', error => console.error('State store error:', error.message));
+
+        return Promise.all([this.client.connect(), this.subscriber.connect()])
+            .then(() => this.subscriber.subscribe(this.changesChannel));
+    }
+
+    handlePayload(channel, payload) {
+        if (this.channelHandlers.has(channel)) {
+            this.channelHandlers.get(channel)(JSON.parse(payload));
+            return;
+        }
+
+        const event = JSON.parse(payload);
+        if (event.origin === this.instanceId) {
+            return;
+        }
+
+        if (event.type === 'message') {
+            this.messageHandlers.forEach(handler => handler(event.message));
+        } else {
+            this.changeHandlers.forEach(handler => handler(event.collection, event.id, event.type === 'save' ? event.data : null));
+        }
+    }
+
+    loadAll(collections) {
+        return Promise.all(collections.map(collection => this.client.hgetall(`${this.prefix}:${collection}`)))
+            .then(results => {
+                const data = {};
+                collections.forEach((collection, index) => {
+                    data[collection] = Object.values(results[index]).map(value => JSON.parse(value));
+                });
+                return data;
+            });
+    }
+
+    // 同じ接続で順に送るため、書き込みと通知の順序は保たれる
+    save(collection, id, data) {
+        this.client.hset(`${this.prefix}:${collection}`, id, JSON.stringify(data)).catch(() => {});
+        this.send({ type: 'save', collection, id, data });
+    }
+
+    remove(collection, id) {
+        this.client.hdel(`${this.prefix}:${collection}`, id).catch(() => {});
+        this.send({ type: 'remove', collection, id });
+    }
+
+    publish(message) {
+        this.send({ type: 'message', message });
+    }
+
+    send(event) {
+        this.client.publish(this.changesChannel, JSON.stringify({ ...event, origin: this.instanceId })).catch(() => {});
+    }
+
+    onChange(handler) {
+        this.changeHandlers.push(handler);
+    }
+
+    onMessage(handler) {
+        this.messageHandlers.push(handler);
+    }
+
+    acquireLock(key, ttl) {
+        return this.client.set(`${this.prefix}:lock:${key}`, this.instanceId, 'PX', ttl, 'NX')
+            .then(result => result === 'OK')
+            .catch(() => false);
+    }
+
+    // Socket.IO アダプター用のチャンネル
+    subscribeChannel(channel, handler) {
+        this.channelHandlers.set(channel, handler);
+        return this.subscriber.subscribe(channel);
+    }
+
+    unsubscribeChannel(channel) {
+        this.channelHandlers.delete(channel);
+        return this.subscriber.unsubscribe(channel).catch(() => {});
+    }
+
+    publishChannel(channel, message) {
+        return this.client.publish(channel, JSON.stringify(message));
+    }
+
+    createAdapter() {
+        const store = this;
+        return class extends StateStoreAdapter {
+            constructor(nsp) {
+                super(nsp, store);
+            }
+        };
+    }
+
+    close() {
+        return Promise.all([this.client.quit(), this.subscriber.quit()]).catch(() => {});
+    }
+}
+
+// ストアのPub/Subを使って、Socket.IO のイベントを全インスタンスに配信するアダプター
+class StateStoreAdapter extends ClusterAdapterWithHeartbeat {
+    constructor(nsp, store) {
+        super(nsp, {});
+        this.store = store;
+        this.channel = `${store.prefix}:socket.io:${nsp.name}`;
+        this.responseChannel = `${this.channel}:response:${this.uid}`;
+
+        store.subscribeChannel(this.channel, message => this.onMessage(message));
+        store.subscribeChannel(this.responseChannel, response => this.onResponse(response));
+    }
+
+    doPublish(message) {
+        return this.store.publishChannel(this.channel, message).then(() => '');
+    }
+
+    doPublishResponse(requesterUid, response) {
+        return this.store.publishChannel(`${this.channel}:response:${requesterUid}`, response).then(() => {});
+    }
+
+    close() {
+        super.close();
+        this.store.unsubscribeChannel(this.channel);
+        this.store.unsubscribeChannel(this.responseChannel);
+    }
+}
+
+// 環境変数から共有方法を決定
+// STATE_STORE: 'memory'(デフォルト) or 'redis'
+// REDIS_URL: Redis(互換サーバー)の接続先
+function createStateStore(options = {}) {
+    const type = options.type || process.env.STATE_STORE || 'memory';
+
+    switch (type) {
+        case 'memory':
+            return new MemoryStateStore();
+        case 'redis':
+            return new RedisStateStore(options.url || process.env.REDIS_URL || 'redis://127.0.0.1:6379', options.prefix || process.env.REDIS_PREFIX);
+        default:
+            throw new Error(`Unknown state store type: ${type}`);
+    }
+}
+
+module.exports = {
+    MemoryStateStore,
+    RedisStateStore,
+    createStateStore
+};
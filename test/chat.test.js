@@ -0,0 +1,120 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, api, connectUser, createRoomAsWebOwner, joinAsWebUser, waitFor, waitUntil, closeSockets } = require('./helpers');
+
+describe('chat', () => {
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    afterEach(closeSockets);
+
+    // 自分以外のメンバーのメッセージが届くまで待つ
+    function waitForUserMessage(socket, text) {
+        return waitUntil(socket, 'newMessage', message => message.type === 'user' && message.message === text);
+    }
+
+    it('sends the chat history with system messages to members who join later', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'log room', rule: 'ex' }, alice.token);
+        const roomId = body.roomId;
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        for (const [player, exScore] of [[alice, 150], [bob, 100]]) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore, song: { title: 'Log Song' } }, player.token);
+        }
+        for (const player of [alice, bob]) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+        }
+
+        const viewer = await joinAsWebUser(baseUrl, roomId, 'viewer');
+        const history = viewer.joined.chatHistory;
+        assert.deepEqual(history.map(message => message.event), ['memberJoined', 'songStarted', 'songFinished']);
+        assert.ok(history.every(message => message.type === 'system'));
+        assert.equal(history[2].message, 'Log Song の結果: 1位 alice 150 / 2位 bob 100');
+
+        const said = waitForUserMessage(viewer.socket, 'hello');
+        viewer.socket.emit('sendMessage', { message: 'hello' });
+        await said;
+
+        const later = await joinAsWebUser(baseUrl, roomId, 'later');
+        assert.deepEqual(later.joined.chatHistory.slice(-2).map(message => [message.type, message.message]), [
+            ['system', 'viewer が入室しました'],
+            ['user', 'hello']
+        ]);
+    });
+
+    it('lets moderators mute members and delete messages', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl, { name: 'chat room', rule: 'ex' });
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+        const moderator = await joinAsWebUser(baseUrl, roomId, 'moderator');
+
+        const denied = waitFor(guest.socket, 'error');
+        guest.socket.emit('muteUser', { targetUserId: moderator.userId, muted: true });
+        assert.equal((await denied).message, 'Permission denied');
+
+        owner.socket.emit('setCoHost', { targetUserId: moderator.userId, permissions: ['moderateChat'] });
+        await waitFor(moderator.socket, 'hostsChanged');
+
+        const ownerRejected = waitFor(moderator.socket, 'error');
+        moderator.socket.emit('muteUser', { targetUserId: owner.userId, muted: true });
+        assert.equal((await ownerRejected).message, 'Cannot mute the owner');
+
+        const said = waitForUserMessage(owner.socket, 'spam');
+        guest.socket.emit('sendMessage', { message: 'spam' });
+        const message = await said;
+
+        const deleted = waitFor(guest.socket, 'messageDeleted');
+        moderator.socket.emit('deleteMessage', { messageId: message.id });
+        assert.deepEqual(await deleted, { messageId: message.id });
+
+        const muted = waitFor(guest.socket, 'chatSettingsChanged');
+        moderator.socket.emit('muteUser', { targetUserId: guest.userId, muted: true });
+        assert.deepEqual(await muted, { chatSlowMode: 0, mutedUsers: [guest.userId] });
+
+        const rejected = waitFor(guest.socket, 'error');
+        guest.socket.emit('sendMessage', { message: 'spam again' });
+        assert.equal((await rejected).message, 'You are muted');
+
+        const later = await joinAsWebUser(baseUrl, roomId, 'later');
+        assert.equal(later.joined.chatHistory.some(entry => entry.id === message.id), false);
+        assert.deepEqual(later.joined.room.mutedUsers, [guest.userId]);
+    });
+
+    it('limits how often members can post in slow mode', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl, { name: 'chat room', rule: 'ex' });
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+
+        const invalid = waitFor(owner.socket, 'error');
+        owner.socket.emit('setSlowMode', { seconds: 301 });
+        assert.ok(await invalid);
+
+        const changed = waitFor(guest.socket, 'chatSettingsChanged');
+        owner.socket.emit('setSlowMode', { seconds: 10 });
+        assert.equal((await changed).chatSlowMode, 10);
+
+        const first = waitForUserMessage(owner.socket, 'first');
+        guest.socket.emit('sendMessage', { message: 'first' });
+        await first;
+
+        const rejected = waitFor(guest.socket, 'error');
+        guest.socket.emit('sendMessage', { message: 'second' });
+        const error = await rejected;
+        assert.equal(error.message, 'Slow mode is enabled');
+        assert.ok(error.retryAfter > 0 && error.retryAfter <= 10);
+
+        // 部屋主には適用されない
+        for (const text of ['owner 1', 'owner 2']) {
+            const said = waitForUserMessage(guest.socket, text);
+            owner.socket.emit('sendMessage', { message: text });
+            await said;
+        }
+    });
+});
@@ -0,0 +1,247 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawn } = require('child_process');
+const { createBroker } = require('../scripts/broker');
+const { api, connectUser, connectWebUser, joinAsWebUser, waitFor, waitUntil, watchRoom } = require('./helpers');
+
+// 2つのサーバープロセスをRedis互換ブローカーで繋いで確認する
+function startInstance(redisUrl) {
+    return new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, [path.join(__dirname, '..', 'server.js')], {
+            env: { ...process.env, PORT: '0', STORAGE_TYPE: 'memory', STATE_STORE: 'redis', REDIS_URL: redisUrl },
+            stdio: ['ignore', 'pipe', 'inherit']
+        });
+
+        let output = '';
+        const onData = chunk => {
+            output += chunk;
+            const match = output.match(/Server running on port (\d+)/);
+            if (match) {
+                child.stdout.off('data', onData);
+                // 以降のログは読み捨てる
+                child.stdout.resume();
+                resolve({ child, baseUrl: `http://127.0.0.1:${match[1]}` });
+            }
+        };
+        child.stdout.on('data', onData);
+        child.once('exit', code => reject(new Error(`Server exited with code ${code}`)));
+    });
+}
+
+function stopInstance(instance) {
+    return new Promise(resolve => {
+        instance.child.once('exit', resolve);
+        instance.child.kill('SIGTERM');
+    });
+}
+
+// 他のインスタンスに反映されるまで待つ
+async function eventually(check, timeout = 2000) {
+    const startedAt = Date.now();
+    for (;;) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        if (Date.now() - startedAt > timeout) {
+            throw new Error('Timed out waiting for replication');
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+describe('multiple instances', () => {
+    let broker;
+    let a;
+    let b;
+    let sockets = [];
+
+    before(async () => {
+        broker = createBroker();
+        await new Promise(resolve => broker.listen(0, '127.0.0.1', resolve));
+        const redisUrl = `redis://127.0.0.1:${broker.address().port}`;
+        a = await startInstance(redisUrl);
+        b = await startInstance(redisUrl);
+    });
+
+    after(async () => {
+        await Promise.all([a, b].filter(Boolean).map(stopInstance));
+        await new Promise(resolve => broker.close(resolve));
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.close());
+        sockets = [];
+    });
+
+    // 部屋主はインスタンスA、もう1人のプレイヤーはインスタンスBで入室する
+    async function createSharedRoom(body = {}) {
+        const owner = await connectUser(a.baseUrl, 'owner');
+        const guest = await connectUser(a.baseUrl, 'guest');
+        const { body: created } = await api(a.baseUrl, 'POST', '/api/rooms', { name: 'shared', rule: 'ex', ...body }, owner.token);
+        const roomId = created.roomId;
+
+        await eventually(async () => (await api(b.baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, guest.token)).status === 200);
+        await eventually(async () => {
+            const { body: list } = await api(a.baseUrl, 'GET', '/api/rooms');
+            return list.find(room => room.id === roomId).memberCount === 2;
+        });
+        return { owner, guest, roomId };
+    }
+
+    it('shares rooms and sessions between instances', async () => {
+        const { guest, roomId } = await createSharedRoom();
+
+        const { body } = await api(a.baseUrl, 'POST', '/api/resume', {}, guest.token);
+        assert.equal(body.roomId, roomId);
+        assert.equal(body.role, 'player');
+    });
+
+    it('delivers rankings and results to watchers on every instance', async () => {
+        const { owner, guest, roomId } = await createSharedRoom({ scoring: { type: 'table', table: [3, 1] } });
+        const watcherA = await watchRoom(a.baseUrl, roomId);
+        const watcherB = await watchRoom(b.baseUrl, roomId);
+        sockets.push(watcherA, watcherB);
+
+        const bothScores = rankings => rankings.length === 2;
+        const rankingsA = waitUntil(watcherA, 'rankingsUpdated', bothScores);
+        const rankingsB = waitUntil(watcherB, 'rankingsUpdated', bothScores);
+        await api(a.baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 100 }, owner.token);
+        await api(b.baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 2000, exScore: 200 }, guest.token);
+        const [rankings] = await rankingsA;
+        assert.deepEqual(rankings.map(ranking => ranking.username), ['guest', 'owner']);
+        await rankingsB;
+
+        // 曲の確定は1つのインスタンスでのみ行われる
+        const finished = [];
+        watcherA.on('songFinished', result => finished.push(result));
+        const finishedB = waitFor(watcherB, 'songFinished');
+        await api(a.baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, owner.token);
+        await api(b.baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, guest.token);
+        await finishedB;
+        await new Promise(resolve => setTimeout(resolve, 300));
+        assert.equal(finished.length, 1);
+
+        await eventually(async () => {
+            const { body } = await api(a.baseUrl, 'POST', '/api/resume', {}, guest.token);
+            return body.points === 3;
+        });
+        const { body: ownerState } = await api(b.baseUrl, 'POST', '/api/resume', {}, owner.token);
+        assert.equal(ownerState.points, 1);
+    });
+
+    it('shares progress and projected scores between instances', async () => {
+        const { owner, guest, roomId } = await createSharedRoom();
+        const watcher = await watchRoom(b.baseUrl, roomId);
+        sockets.push(watcher);
+
+        const submit = (instance, player, exScore, notes) =>
+            api(instance.baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 0, exScore, progress: { notes, totalNotes: 1000 } }, player.token);
+        const projections = rankings => rankings.map(ranking => [ranking.username, ranking.projectedScore]);
+
+        const projected = waitUntil(watcher, 'rankingsUpdated', rankings => rankings.length === 2 && rankings.every(ranking => ranking.projectedScore !== null));
+        await submit(a, owner, 100, 100);
+        await submit(b, guest, 300, 500);
+        const [rankings] = await projected;
+        assert.deepEqual(projections(rankings), [['guest', 600], ['owner', 1000]]);
+
+        // スコアが変わらず進行度だけが進んだ場合も予測スコアを更新する
+        const slowed = waitUntil(watcher, 'rankingsUpdated', rankings => rankings.some(ranking => ranking.projectedScore === 500));
+        await submit(a, owner, 100, 200);
+        assert.deepEqual(projections((await slowed)[0]), [['guest', 600], ['owner', 500]]);
+    });
+
+    it('throttles ranking updates per room across instances', async () => {
+        const { owner, guest, roomId } = await createSharedRoom();
+        const watcher = await watchRoom(b.baseUrl, roomId);
+        sockets.push(watcher);
+
+        let updates = 0;
+        watcher.on('rankingsUpdated', () => updates++);
+
+        // 1秒間、両方のインスタンスに交互にスコアを送る
+        const startedAt = Date.now();
+        for (let i = 1; Date.now() - startedAt < 1000; i++) {
+            await Promise.all([
+                api(a.baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: i, exScore: i }, owner.token),
+                api(b.baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: i, exScore: i }, guest.token)
+            ]);
+            await new Promise(resolve => setTimeout(resolve, 40));
+        }
+        await new Promise(resolve => setTimeout(resolve, 300));
+
+        // 200ms間隔で1秒間 + 最後の1回程度（インスタンスごとに間引くと約2倍になる）
+        assert.ok(updates >= 3, `too few updates: ${updates}`);
+        assert.ok(updates <= 8, `too many updates: ${updates}`);
+    });
+
+    it('kicks members connected to another instance', async () => {
+        const owner = await connectWebUser(a.baseUrl, 'owner');
+        sockets.push(owner.socket);
+        const created = waitFor(owner.socket, 'roomCreated');
+        owner.socket.emit('createRoom', { name: 'web room', rule: 'normal' });
+        const { roomId } = await created;
+
+        const guest = await connectWebUser(b.baseUrl, 'guest');
+        sockets.push(guest.socket);
+        await eventually(async () => {
+            const { body } = await api(b.baseUrl, 'GET', '/api/rooms');
+            return body.some(room => room.id === roomId);
+        });
+        const joined = waitFor(owner.socket, 'memberJoined');
+        guest.socket.emit('joinRoom', { roomId });
+        await joined;
+
+        await eventually(async () => {
+            const { body } = await api(a.baseUrl, 'GET', '/api/rooms');
+            return body.find(room => room.id === roomId).memberCount === 2;
+        });
+        const kicked = waitFor(guest.socket, 'kicked');
+        owner.socket.emit('kickMember', { targetUserId: guest.userId });
+        await kicked;
+    });
+
+    it('keeps chat messages sent on different instances at the same time', async () => {
+        const owner = await connectWebUser(a.baseUrl, 'owner');
+        sockets.push(owner.socket);
+        const created = waitFor(owner.socket, 'roomCreated');
+        owner.socket.emit('createRoom', { name: 'chat room', rule: 'ex' });
+        const { roomId } = await created;
+
+        await eventually(async () => {
+            const { body } = await api(b.baseUrl, 'GET', '/api/rooms');
+            return body.some(room => room.id === roomId);
+        });
+        const guest = await joinAsWebUser(b.baseUrl, roomId, 'guest');
+        sockets.push(guest.socket);
+        await eventually(async () => {
+            const { body } = await api(a.baseUrl, 'GET', '/api/rooms');
+            return body.find(room => room.id === roomId).memberCount === 2;
+        });
+
+        const userMessages = [];
+        const received = waitUntil(owner.socket, 'newMessage', message => {
+            if (message.type === 'user') {
+                userMessages.push(message);
+            }
+            return userMessages.length === 4;
+        });
+        for (let i = 0; i < 2; i++) {
+            owner.socket.emit('sendMessage', { message: `owner ${i}` });
+            guest.socket.emit('sendMessage', { message: `guest ${i}` });
+        }
+        await received;
+
+        const deleted = waitFor(guest.socket, 'messageDeleted');
+        owner.socket.emit('deleteMessage', { messageId: userMessages.find(message => message.message === 'guest 0').id });
+        await deleted;
+
+        for (const instance of [a, b]) {
+            const later = await joinAsWebUser(instance.baseUrl, roomId, 'later');
+            sockets.push(later.socket);
+            const history = later.joined.chatHistory.filter(message => message.type === 'user').map(message => message.message);
+            assert.deepEqual(history.sort(), ['guest 1', 'owner 0', 'owner 1']);
+        }
+    });
+});
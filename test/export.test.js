@@ -0,0 +1,35 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildRoomExport, toCsv } = require('../export');
+
+describe('export', () => {
+    const room = {
+        id: 'room',
+        name: 'room',
+        rule: 'ex',
+        scoring: null,
+        tieBreaker: 'none',
+        teamMode: null,
+        songHistory: [{
+            id: 'song',
+            metadata: { title: '=HYPERLINK("http://example.com")', difficulty: '-A' },
+            startedAt: '2026-01-01T00:00:00Z',
+            finishedAt: '2026-01-01T00:02:00Z',
+            rankings: [
+                { rank: 1, userId: 'a', username: '@alice', normal: 1000, ex: -5, score: -5, submittedAt: '2026-01-01T00:01:00Z' },
+                { rank: 2, userId: 'b', username: 'bob', normal: 900, ex: 0, score: 0, submittedAt: '2026-01-01T00:01:00Z' }
+            ]
+        }]
+    };
+
+    it('neutralizes values that spreadsheets would read as formulas', () => {
+        const [, first, second] = toCsv(buildRoomExport(room)).split('\r\n').map(line => line.split(','));
+
+        assert.equal(first[2], `"'=HYPERLINK(""http://example.com"")"`);
+        assert.equal(first[3], "'-A");
+        assert.equal(first[11], "'@alice");
+        // 数値はそのまま出力する
+        assert.equal(first[14], '-5');
+        assert.equal(second[11], 'bob');
+    });
+});
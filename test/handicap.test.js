@@ -0,0 +1,115 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, api, connectUser, connectWebUser, watchRoom, waitFor, waitUntil } = require('./helpers');
+
+describe('handicaps and ghosts', () => {
+    let baseUrl;
+    let sockets = [];
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.close());
+        sockets = [];
+    });
+
+    // Webクライアントの部屋主の部屋にAPIのプレイヤーを入室させる
+    async function createRoomWithPlayers(usernames) {
+        const owner = await connectWebUser(baseUrl, 'owner');
+        sockets.push(owner.socket);
+
+        const created = waitFor(owner.socket, 'roomCreated');
+        owner.socket.emit('createRoom', { name: 'handicap room', rule: 'ex' });
+        const { roomId } = await created;
+
+        const players = [];
+        for (const username of usernames) {
+            const player = await connectUser(baseUrl, username);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, player.token);
+            players.push(player);
+        }
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        sockets.push(watcher);
+        return { owner, roomId, players, watcher };
+    }
+
+    function submitScore(roomId, player, exScore, song = { title: 'Ghost Song', difficulty: 'HYPER', maxExScore: 2000 }, progress = undefined) {
+        return api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 0, exScore, song, progress }, player.token);
+    }
+
+    it('ranks players by their handicapped scores and keeps the raw scores', async () => {
+        const { owner, roomId, players: [pro, beginner], watcher } = await createRoomWithPlayers(['pro', 'beginner']);
+
+        const invalid = waitFor(owner.socket, 'error');
+        owner.socket.emit('setHandicap', { targetUserId: beginner.userId, handicap: { type: 'percent', value: -10 } });
+        assert.equal((await invalid).message, 'Invalid handicap');
+
+        const changed = waitFor(watcher, 'handicapChanged');
+        owner.socket.emit('setHandicap', { targetUserId: beginner.userId, handicap: { type: 'percent', value: 150 } });
+        assert.deepEqual(await changed, { userId: beginner.userId, handicap: { type: 'percent', value: 150 } });
+
+        await submitScore(roomId, pro, 1200);
+        await submitScore(roomId, beginner, 1000);
+
+        const finished = waitFor(watcher, 'songFinished');
+        for (const player of [pro, beginner]) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+        }
+        const { rankings } = await finished;
+        assert.deepEqual(rankings.map(ranking => [ranking.username, ranking.rank, ranking.score, ranking.rawScore, ranking.awardedPoints]), [
+            ['beginner', 1, 1500, 1000, 2],
+            ['pro', 2, 1200, 1200, 1]
+        ]);
+    });
+
+    it('shows a target pace ghost and a personal best ghost in the rankings', async () => {
+        const { owner, roomId, players: [alice, bob], watcher } = await createRoomWithPlayers(['alice', 'bob']);
+
+        const paceChanged = waitFor(watcher, 'ghostChanged');
+        owner.socket.emit('setGhost', { ghost: { type: 'pace', rate: 800 / 9, label: 'AAA' } });
+        await paceChanged;
+
+        const paced = waitUntil(watcher, 'rankingsUpdated', rankings => rankings.some(ranking => ranking.type === 'ghost'));
+        await submitScore(roomId, alice, 850, undefined, { notes: 500, totalNotes: 1000 });
+        const [withPace] = await paced;
+        // 最大EXスコア2000のAAA(8/9)は1778で、曲の半分の時点では889
+        assert.deepEqual(withPace.map(ranking => [ranking.username, ranking.rank, ranking.score, ranking.projectedScore]), [
+            ['AAA', 1, 889, 1778],
+            ['alice', 1, 850, 1700]
+        ]);
+
+        const pacedFinished = waitFor(watcher, 'songFinished');
+        for (const player of [bob, alice]) {
+            await submitScore(roomId, player, player === bob ? 900 : 1800);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+        }
+        assert.equal((await pacedFinished).ghost.score, 1778);
+
+        // 前の曲の bob の推移を再生する
+        const bestChanged = waitFor(watcher, 'ghostChanged');
+        owner.socket.emit('setGhost', { ghost: { type: 'personalBest', userId: bob.userId } });
+        await bestChanged;
+
+        const replayed = waitUntil(watcher, 'rankingsUpdated', rankings => rankings.some(ranking => ranking.type === 'ghost'));
+        await submitScore(roomId, bob, 950);
+        const [withBest] = await replayed;
+        const ghost = withBest.find(ranking => ranking.type === 'ghost');
+        assert.equal(ghost.username, 'bobの自己ベスト');
+        assert.equal(ghost.userId, 'ghost');
+
+        const finished = waitFor(watcher, 'songFinished');
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, bob.token);
+        await submitScore(roomId, alice, 1000);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+        const result = await finished;
+        assert.equal(result.ghost.score, 900);
+        assert.equal(result.rankings.some(ranking => ranking.type === 'ghost'), false);
+    });
+});
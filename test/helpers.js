@@ -0,0 +1,149 @@
+// テスト用の共通処理
+// サーバーを同じプロセス内で空いているポートに起動し、REST API と Socket.IO クライアントで操作する
+
+process.env.STORAGE_TYPE = 'memory';
+
+const { io: connectClient } = require('socket.io-client');
+
+// サーバーのログはテスト結果の表示の邪魔になるため出力しない
+console.log = () => {};
+
+const server = require('../server');
+
+// テスト中に接続したソケット（closeSockets でまとめて閉じる）
+let openSockets = [];
+
+async function startServer() {
+    const httpServer = await server.start(0);
+    return `http://127.0.0.1:${httpServer.address().port}`;
+}
+
+async function stopServer() {
+    await server.stop();
+}
+
+async function api(baseUrl, method, path, body, token) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers,
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        data = text;
+    }
+    return { status: response.status, body: data };
+}
+
+// APIユーザーとして接続
+async function connectUser(baseUrl, username) {
+    const { body } = await api(baseUrl, 'POST', '/api/connect', { username });
+    return body;
+}
+
+function connectSocket(baseUrl) {
+    return new Promise((resolve, reject) => {
+        const socket = connectClient(baseUrl, { transports: ['websocket'], forceNew: true });
+        openSockets.push(socket);
+        socket.once('connect', () => resolve(socket));
+        socket.once('connect_error', reject);
+    });
+}
+
+// Webクライアントとして接続
+async function connectWebUser(baseUrl, username) {
+    const socket = await connectSocket(baseUrl);
+    const connected = waitFor(socket, 'connected');
+    socket.emit('webConnect', { username });
+    return { socket, ...(await connected) };
+}
+
+// Webクライアントの部屋主が部屋を作成する
+async function createRoomAsWebOwner(baseUrl, room = { name: 'web room', rule: 'normal' }) {
+    const owner = await connectWebUser(baseUrl, 'owner');
+
+    const created = waitFor(owner.socket, 'roomCreated');
+    owner.socket.emit('createRoom', room);
+    const { roomId } = await created;
+    return { owner, roomId };
+}
+
+// Webクライアントとして部屋に参加（joined は参加時に受け取った部屋の情報）
+async function joinAsWebUser(baseUrl, roomId, username) {
+    const user = await connectWebUser(baseUrl, username);
+
+    const joined = waitFor(user.socket, 'joinedRoom');
+    user.socket.emit('joinRoom', { roomId });
+    user.joined = await joined;
+    return user;
+}
+
+function closeSockets() {
+    openSockets.forEach(socket => socket.close());
+    openSockets = [];
+}
+
+// イベントを待つ（複数の引数がある場合は配列で返す）
+function waitFor(socket, event, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeout);
+        const listener = (...args) => {
+            clearTimeout(timer);
+            resolve(args.length > 1 ? args : args[0]);
+        };
+        socket.once(event, listener);
+    });
+}
+
+// 条件を満たすイベントを待つ
+function waitUntil(socket, event, predicate, timeout = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            socket.off(event, listener);
+            reject(new Error(`Timed out waiting for ${event}`));
+        }, timeout);
+        const listener = (...args) => {
+            if (predicate(...args)) {
+                clearTimeout(timer);
+                socket.off(event, listener);
+                resolve(args.length > 1 ? args : args[0]);
+            }
+        };
+        socket.on(event, listener);
+    });
+}
+
+// 部屋を観戦する（可視化画面と同じ経路）
+async function watchRoom(baseUrl, roomId) {
+    const socket = await connectSocket(baseUrl);
+    const info = waitFor(socket, 'roomInfo');
+    socket.emit('watchRoom', { roomId });
+    await info;
+    return socket;
+}
+
+module.exports = {
+    startServer,
+    stopServer,
+    api,
+    connectUser,
+    connectSocket,
+    connectWebUser,
+    createRoomAsWebOwner,
+    joinAsWebUser,
+    closeSockets,
+    waitFor,
+    waitUntil,
+    watchRoom
+};
@@ -0,0 +1,95 @@
+// メンバーがいない部屋をすぐに削除するよう、時間を短くしてテストする
+process.env.EMPTY_ROOM_TIMEOUT = '100';
+process.env.ROOM_EXPIRY_CHECK_INTERVAL = '20';
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, api, connectUser, connectWebUser, joinAsWebUser, waitFor, closeSockets } = require('./helpers');
+
+describe('room lifecycle', () => {
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    afterEach(closeSockets);
+
+    it('limits the number of players and spectators', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'small room', rule: 'ex', maxPlayers: 1, maxSpectators: 1 }, alice.token);
+
+        const full = await api(baseUrl, 'POST', `/api/rooms/${body.roomId}/join`, {}, bob.token);
+        assert.equal(full.status, 409);
+        assert.equal(full.body.error, 'Room is full');
+
+        const viewer = await joinAsWebUser(baseUrl, body.roomId, 'viewer');
+        const other = await connectWebUser(baseUrl, 'other');
+        const rejected = waitFor(other.socket, 'error');
+        other.socket.emit('joinRoom', { roomId: body.roomId });
+        assert.equal((await rejected).message, 'Room is full');
+
+        // プレイヤーの枠も埋まっているためロールを変更できない
+        const roleRejected = waitFor(viewer.socket, 'error');
+        viewer.socket.emit('changeRole', { role: 'player' });
+        assert.equal((await roleRejected).message, 'No free slot for this role');
+
+        assert.equal((await api(baseUrl, 'POST', '/api/rooms', { name: 'bad room', rule: 'ex', maxPlayers: 0 }, alice.token)).status, 400);
+    });
+
+    it('lets the owner lock and delete the room', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'event room', rule: 'ex' }, alice.token);
+        const roomId = body.roomId;
+        const viewer = await joinAsWebUser(baseUrl, roomId, 'viewer');
+
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/lock`, { locked: true }, bob.token)).status, 403);
+        const lockChanged = waitFor(viewer.socket, 'roomLockChanged');
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/lock`, { locked: true }, alice.token)).status, 200);
+        assert.deepEqual(await lockChanged, { locked: true });
+
+        const locked = await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+        assert.equal(locked.status, 409);
+        assert.equal(locked.body.error, 'Room is locked');
+
+        const { body: list } = await api(baseUrl, 'GET', '/api/rooms');
+        assert.equal(list.find(room => room.id === roomId).locked, true);
+
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/lock`, { locked: false }, alice.token);
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token)).status, 200);
+
+        // 既存のメンバーはロック中も入り直せる
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/lock`, { locked: true }, alice.token);
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token)).status, 200);
+
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/delete`, {}, bob.token)).status, 403);
+        const deleted = waitFor(viewer.socket, 'roomDeleted');
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/delete`, {}, alice.token)).status, 200);
+        assert.deepEqual(await deleted, { reason: 'owner' });
+
+        const { body: resumed } = await api(baseUrl, 'POST', '/api/resume', {}, bob.token);
+        assert.equal(resumed.roomId, null);
+        assert.equal((await api(baseUrl, 'GET', '/api/rooms')).body.some(room => room.id === roomId), false);
+    });
+
+    it('deletes rooms that stay empty and notifies the room list', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const watcher = await connectWebUser(baseUrl, 'watcher');
+
+        const { body: kept } = await api(baseUrl, 'POST', '/api/rooms', { name: 'occupied room', rule: 'ex' }, alice.token);
+        const bob = await connectUser(baseUrl, 'bob');
+        const { body: empty } = await api(baseUrl, 'POST', '/api/rooms', { name: 'empty room', rule: 'ex' }, bob.token);
+        await api(baseUrl, 'POST', `/api/rooms/${empty.roomId}/leave`, {}, bob.token);
+
+        await waitFor(watcher.socket, 'roomListUpdated');
+        const { body: list } = await api(baseUrl, 'GET', '/api/rooms');
+        assert.equal(list.some(room => room.id === empty.roomId), false);
+        assert.equal(list.some(room => room.id === kept.roomId), true);
+    });
+});
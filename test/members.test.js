@@ -0,0 +1,212 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, api, connectUser, connectSocket, createRoomAsWebOwner, joinAsWebUser, waitFor, waitUntil, closeSockets } = require('./helpers');
+
+describe('room members', () => {
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    afterEach(closeSockets);
+
+    it('joins web users as spectators and API users as players', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const apiUser = await connectUser(baseUrl, 'api player');
+
+        const joined = waitFor(owner.socket, 'memberJoined');
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, apiUser.token);
+        const member = await joined;
+
+        assert.equal(member.username, 'api player');
+        assert.equal(member.role, 'player');
+        assert.equal(member.type, 'api');
+    });
+
+    it('lets members change their own role', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+
+        const changed = waitFor(owner.socket, 'roleChanged');
+        guest.socket.emit('changeRole', { role: 'player' });
+        assert.deepEqual(await changed, { userId: guest.userId, username: 'guest', role: 'player' });
+    });
+
+    it('rejects unknown roles', async () => {
+        const { owner } = await createRoomAsWebOwner(baseUrl);
+
+        const error = waitFor(owner.socket, 'error');
+        owner.socket.emit('changeRole', { role: 'admin' });
+        assert.equal((await error).message, 'Invalid role');
+    });
+
+    it('lets the owner change the role of API users', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const apiUser = await connectUser(baseUrl, 'api player');
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, apiUser.token);
+
+        const changed = waitFor(owner.socket, 'roleChanged');
+        owner.socket.emit('changeMemberRole', { targetUserId: apiUser.userId, role: 'spectator' });
+        assert.equal((await changed).role, 'spectator');
+
+        // 観戦者になったユーザーはスコアを送信できない
+        const { status } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 1 }, apiUser.token);
+        assert.equal(status, 403);
+    });
+
+    it('finishes the song when the owner turns an unfinished player into a spectator', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const players = [await connectUser(baseUrl, 'p1'), await connectUser(baseUrl, 'p2')];
+        for (const player of players) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, player.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 1 }, player.token);
+        }
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, players[0].token);
+
+        const finished = waitFor(owner.socket, 'songFinished');
+        owner.socket.emit('changeMemberRole', { targetUserId: players[1].userId, role: 'spectator' });
+        await finished;
+    });
+
+    it('does not let other members change roles', async () => {
+        const { roomId } = await createRoomAsWebOwner(baseUrl);
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+        const apiUser = await connectUser(baseUrl, 'api player');
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, apiUser.token);
+
+        const error = waitFor(guest.socket, 'error');
+        guest.socket.emit('changeMemberRole', { targetUserId: apiUser.userId, role: 'spectator' });
+        assert.equal((await error).message, 'Permission denied');
+    });
+
+    it('lets the owner kick members', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+
+        const kickedEvent = waitFor(owner.socket, 'memberKicked');
+        const kicked = waitFor(guest.socket, 'kicked');
+        owner.socket.emit('kickMember', { targetUserId: guest.userId });
+
+        assert.equal((await kickedEvent).userId, guest.userId);
+        await kicked;
+
+        const { body } = await api(baseUrl, 'GET', '/api/rooms');
+        assert.equal(body.find(room => room.id === roomId).memberCount, 1);
+    });
+
+    it('does not let other members kick', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+
+        const error = waitFor(guest.socket, 'error');
+        guest.socket.emit('kickMember', { targetUserId: owner.userId });
+        assert.equal((await error).message, 'Permission denied');
+    });
+
+    it('lets co-hosts use only the permissions the owner gave them', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const referee = await joinAsWebUser(baseUrl, roomId, 'referee');
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+
+        const hostsChanged = waitFor(guest.socket, 'hostsChanged');
+        owner.socket.emit('setCoHost', { targetUserId: referee.userId, permissions: ['kick'] });
+        assert.deepEqual((await hostsChanged).coHosts, { [referee.userId]: ['kick'] });
+
+        const denied = waitFor(referee.socket, 'error');
+        referee.socket.emit('resetPoints');
+        assert.equal((await denied).message, 'Permission denied');
+
+        // 共同ホストも部屋主は追放できない
+        const ownerKick = waitFor(referee.socket, 'error');
+        referee.socket.emit('kickMember', { targetUserId: owner.userId });
+        assert.equal((await ownerKick).message, 'Cannot kick the owner');
+
+        const kicked = waitFor(guest.socket, 'kicked');
+        referee.socket.emit('kickMember', { targetUserId: guest.userId });
+        await kicked;
+
+        // 共同ホストの設定は部屋主のみ
+        const setDenied = waitFor(referee.socket, 'error');
+        referee.socket.emit('setCoHost', { targetUserId: referee.userId, permissions: ['resetPoints'] });
+        assert.equal((await setDenied).message, 'Permission denied');
+    });
+
+    it('transfers ownership explicitly and to a co-host when the owner leaves', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+        const referee = await joinAsWebUser(baseUrl, roomId, 'referee');
+
+        const transferred = waitFor(owner.socket, 'hostsChanged');
+        owner.socket.emit('transferOwnership', { targetUserId: guest.userId });
+        assert.equal((await transferred).ownerId, guest.userId);
+
+        const apiUser = await connectUser(baseUrl, 'api player');
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, apiUser.token);
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/owner`, { userId: apiUser.userId }, apiUser.token)).status, 403);
+
+        const coHostSet = waitFor(owner.socket, 'hostsChanged');
+        guest.socket.emit('setCoHost', { targetUserId: referee.userId, permissions: ['voidSong'] });
+        await coHostSet;
+
+        // 入室順では元の部屋主が先だが、共同ホストが部屋主を引き継ぐ
+        const inherited = waitFor(owner.socket, 'hostsChanged');
+        guest.socket.emit('leaveRoom');
+        assert.deepEqual(await inherited, { ownerId: referee.userId, coHosts: {} });
+    });
+
+    it('voids the current song without awarding points', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const referee = await joinAsWebUser(baseUrl, roomId, 'referee');
+        const players = [await connectUser(baseUrl, 'p1'), await connectUser(baseUrl, 'p2')];
+        for (const player of players) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, player.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 1 }, player.token);
+        }
+
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/void`, {}, players[0].token)).status, 403);
+
+        const coHostSet = waitFor(owner.socket, 'hostsChanged');
+        owner.socket.emit('setCoHost', { targetUserId: referee.userId, permissions: ['voidSong'] });
+        await coHostSet;
+
+        const voided = waitFor(owner.socket, 'songVoided');
+        referee.socket.emit('voidSong');
+        assert.equal((await voided).voidedBy.username, 'referee');
+
+        const { body: songs } = await api(baseUrl, 'GET', `/api/rooms/${roomId}/songs`);
+        assert.deepEqual(songs, []);
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/void`, {}, owner.token)).status, 409);
+    });
+
+    it('relays chat messages without HTML', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+
+        const received = waitUntil(owner.socket, 'newMessage', message => message.type === 'user');
+        guest.socket.emit('sendMessage', { message: '<b>hello</b>' });
+        const message = await received;
+        assert.equal(message.username, 'guest');
+        assert.equal(message.message, 'bhello/b');
+    });
+
+    it('keeps a disconnected owner in the room and restores the session on reconnect', async () => {
+        const { owner, roomId } = await createRoomAsWebOwner(baseUrl);
+        const guest = await joinAsWebUser(baseUrl, roomId, 'guest');
+
+        const offline = waitFor(guest.socket, 'memberStatusChanged');
+        owner.socket.close();
+        assert.equal((await offline).isOnline, false);
+
+        const socket = await connectSocket(baseUrl);
+        const joined = waitFor(socket, 'joinedRoom');
+        socket.emit('webConnect', { token: owner.token });
+        const { room } = await joined;
+        assert.equal(room.id, roomId);
+        assert.equal(room.ownerId, owner.userId);
+    });
+});
@@ -0,0 +1,161 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { INITIAL_COINS, normalizePredictionConfig, Prediction } = require('../prediction');
+const { startServer, stopServer, api, connectUser, connectWebUser, waitFor, waitUntil } = require('./helpers');
+
+function rankings(entries) {
+    return entries.map(([userId, rank]) => ({ userId, rank }));
+}
+
+describe('prediction', () => {
+    it('validates the close score', () => {
+        assert.deepEqual(normalizePredictionConfig(null, 'ex'), { closeScore: 200 });
+        assert.deepEqual(normalizePredictionConfig({ closeScore: 0 }, 'normal'), { closeScore: 0 });
+        assert.equal(normalizePredictionConfig({ closeScore: -1 }, 'ex'), null);
+        assert.equal(normalizePredictionConfig({ closeScore: 1.5 }, 'ex'), null);
+    });
+
+    it('splits the pool between bettors on the winner by stake', () => {
+        const prediction = new Prediction();
+        prediction.placeBet('s1', 'a', 100);
+        prediction.placeBet('s2', 'a', 300);
+        prediction.placeBet('s3', 'b', 200);
+
+        const results = prediction.settle(rankings([['a', 1], ['b', 2]]));
+        assert.deepEqual([...results].map(([userId, result]) => [userId, result.payout]), [['s1', 150], ['s2', 450], ['s3', 0]]);
+    });
+
+    it('refunds every bet when nobody picked a winner', () => {
+        const prediction = new Prediction();
+        prediction.placeBet('s1', 'b', 100);
+        prediction.placeBet('s2', 'c', 50);
+
+        const results = prediction.settle(rankings([['a', 1], ['b', 2], ['c', 3]]));
+        assert.deepEqual([...results].map(([userId, result]) => [userId, result.payout]), [['s1', 100], ['s2', 50]]);
+    });
+
+    it('rejects bets after closing', () => {
+        const prediction = new Prediction();
+        prediction.close();
+        assert.throws(() => prediction.placeBet('s1', 'a', 100), /closed/);
+    });
+});
+
+describe('spectator predictions', () => {
+    let baseUrl;
+    let sockets = [];
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.close());
+        sockets = [];
+    });
+
+    // APIユーザー2人が対戦し、Webユーザーが観戦する部屋
+    async function createRoomWithSpectators(names, prediction) {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'bet room', rule: 'ex', prediction }, alice.token);
+        const roomId = body.roomId;
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const spectators = [];
+        for (const name of names) {
+            const spectator = await connectWebUser(baseUrl, name);
+            sockets.push(spectator.socket);
+            const joined = waitFor(spectator.socket, 'joinedRoom');
+            spectator.socket.emit('joinRoom', { roomId });
+            await joined;
+            spectators.push(spectator);
+        }
+        return { alice, bob, roomId, spectators };
+    }
+
+    async function placeBet(spectator, targetUserId, amount) {
+        const placed = waitFor(spectator.socket, 'betPlaced');
+        spectator.socket.emit('placeBet', { targetUserId, amount });
+        return placed;
+    }
+
+    it('pays out the pool to spectators who picked the winner', async () => {
+        const { alice, bob, roomId, spectators: [carol, dave] } = await createRoomWithSpectators(['carol', 'dave']);
+
+        assert.equal((await placeBet(carol, bob.userId, 100)).coins, INITIAL_COINS - 100);
+        // 賭け直すと以前の賭け金は戻る
+        await placeBet(dave, bob.userId, 500);
+        assert.equal((await placeBet(dave, alice.userId, 300)).coins, INITIAL_COINS - 300);
+
+        const settled = waitFor(carol.socket, 'predictionSettled');
+        const finished = waitFor(carol.socket, 'songFinished');
+        for (const [player, exScore] of [[alice, 100], [bob, 150]]) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore }, player.token);
+        }
+        for (const player of [alice, bob]) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+        }
+
+        const { results } = await settled;
+        assert.deepEqual(results.map(result => [result.username, result.payout]), [['carol', 400], ['dave', 0]]);
+
+        const { members } = await finished;
+        const coins = Object.fromEntries(members.filter(member => member.role === 'spectator').map(member => [member.username, member.coins]));
+        assert.deepEqual(coins, { carol: INITIAL_COINS + 300, dave: INITIAL_COINS - 300 });
+    });
+
+    it('closes bets once a score reaches the threshold', async () => {
+        const { alice, roomId, spectators: [carol] } = await createRoomWithSpectators(['carol'], { closeScore: 50 });
+
+        await placeBet(carol, alice.userId, 10);
+        const closed = waitUntil(carol.socket, 'predictionUpdated', summary => !summary.open);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 50 }, alice.token);
+        await closed;
+
+        const error = waitFor(carol.socket, 'error');
+        carol.socket.emit('placeBet', { targetUserId: alice.userId, amount: 10 });
+        assert.equal((await error).message, 'Predictions are closed');
+    });
+
+    it('only accepts bets from spectators on players within their coins', async () => {
+        const { alice, spectators: [carol] } = await createRoomWithSpectators(['carol']);
+
+        let error = waitFor(carol.socket, 'error');
+        carol.socket.emit('placeBet', { targetUserId: alice.userId, amount: INITIAL_COINS + 1 });
+        assert.equal((await error).message, 'Not enough coins');
+
+        error = waitFor(carol.socket, 'error');
+        carol.socket.emit('placeBet', { targetUserId: carol.userId, amount: 10 });
+        assert.equal((await error).message, 'Target is not a player in this room');
+
+        carol.socket.emit('changeRole', { role: 'player' });
+        await waitFor(carol.socket, 'roleChanged');
+        error = waitFor(carol.socket, 'error');
+        carol.socket.emit('placeBet', { targetUserId: alice.userId, amount: 10 });
+        assert.equal((await error).message, 'Only spectators can place bets');
+    });
+
+    it('refunds open bets when the room is deleted', async () => {
+        const { alice, roomId, spectators: [carol] } = await createRoomWithSpectators(['carol']);
+
+        await placeBet(carol, alice.userId, 100);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 100 }, alice.token);
+
+        const settled = waitFor(carol.socket, 'predictionSettled');
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/delete`, {}, alice.token);
+
+        const { results: [result] } = await settled;
+        assert.deepEqual([result.username, result.payout, result.coins], ['carol', 100, INITIAL_COINS]);
+    });
+
+    it('rejects invalid prediction configs', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const { status } = await api(baseUrl, 'POST', '/api/rooms', { name: 'room', rule: 'ex', prediction: { closeScore: -5 } }, alice.token);
+        assert.equal(status, 400);
+    });
+});
@@ -0,0 +1,96 @@
+// リバースプロキシ（ローカルから X-Forwarded-For を付けて接続）の後ろで動かす想定でテストする
+process.env.TRUST_PROXY = 'loopback';
+process.env.SCORE_RATE_LIMIT_PER_IP = '2';
+process.env.CHAT_RATE_LIMIT_PER_IP = '2';
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { io: connectClient } = require('socket.io-client');
+const { startServer, stopServer, api, connectUser, waitFor, waitUntil } = require('./helpers');
+
+describe('behind a reverse proxy', () => {
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    async function submitScore(roomId, player, forwardedFor) {
+        const response = await fetch(`${baseUrl}/api/rooms/${roomId}/score`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${player.token}`,
+                'X-Forwarded-For': forwardedFor
+            },
+            body: JSON.stringify({ normalScore: 1000, exScore: 100 })
+        });
+        return response.status;
+    }
+
+    function connectWebUser(username, forwardedFor) {
+        return new Promise((resolve, reject) => {
+            const socket = connectClient(baseUrl, {
+                transports: ['websocket'],
+                forceNew: true,
+                extraHeaders: { 'X-Forwarded-For': forwardedFor }
+            });
+            socket.once('connect_error', reject);
+            socket.once('connect', () => {
+                waitFor(socket, 'connected').then(() => resolve(socket), reject);
+                socket.emit('webConnect', { username });
+            });
+        });
+    }
+
+    it('limits scores per forwarded client address', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'proxy room', rule: 'ex' }, alice.token);
+        await api(baseUrl, 'POST', `/api/rooms/${body.roomId}/join`, {}, bob.token);
+
+        assert.equal(await submitScore(body.roomId, alice, '203.0.113.1'), 200);
+        assert.equal(await submitScore(body.roomId, alice, '203.0.113.1'), 200);
+        assert.equal(await submitScore(body.roomId, alice, '203.0.113.1'), 429);
+
+        // 同じプロキシを経由していても、別の接続元は制限を共有しない
+        assert.equal(await submitScore(body.roomId, bob, '203.0.113.2'), 200);
+    });
+
+    it('limits chat messages per forwarded client address', async () => {
+        const alice = await connectUser(baseUrl, 'chat-alice');
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'proxy chat', rule: 'ex' }, alice.token);
+
+        const sockets = [];
+        try {
+            for (const [username, forwardedFor] of [['carol', '203.0.113.3'], ['dave', '203.0.113.3'], ['erin', '203.0.113.4']]) {
+                const socket = await connectWebUser(username, forwardedFor);
+                sockets.push(socket);
+                const joined = waitFor(socket, 'joinedRoom');
+                socket.emit('joinRoom', { roomId: body.roomId });
+                await joined;
+            }
+            const [carol, dave, erin] = sockets;
+
+            for (const [socket, username] of [[carol, 'carol'], [dave, 'dave']]) {
+                const received = waitUntil(socket, 'newMessage', message => message.username === username);
+                socket.emit('sendMessage', { message: 'hello' });
+                await received;
+            }
+
+            const rejected = waitFor(dave, 'error');
+            dave.emit('sendMessage', { message: 'again' });
+            assert.equal((await rejected).message, 'Too many messages');
+
+            const received = waitUntil(erin, 'newMessage', message => message.username === 'erin');
+            erin.emit('sendMessage', { message: 'hello' });
+            await received;
+        } finally {
+            sockets.forEach(socket => socket.close());
+        }
+    });
+});
@@ -0,0 +1,469 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, api, connectUser, watchRoom, waitFor, waitUntil } = require('./helpers');
+
+describe('rooms and scores', () => {
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    async function createRoom(owner, options = {}) {
+        const { status, body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'test room', rule: 'ex', ...options }, owner.token);
+        assert.equal(status, 200);
+        return body.roomId;
+    }
+
+    async function playSong(roomId, players, exScores) {
+        for (let i = 0; i < players.length; i++) {
+            const { status } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: exScores[i] }, players[i].token);
+            assert.equal(status, 200);
+        }
+        for (const player of players) {
+            const { status } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+            assert.equal(status, 200);
+        }
+    }
+
+    it('requires a username to connect', async () => {
+        const { status } = await api(baseUrl, 'POST', '/api/connect', {});
+        assert.equal(status, 400);
+    });
+
+    it('rejects requests without a session token', async () => {
+        const { status } = await api(baseUrl, 'POST', '/api/rooms', { name: 'room', rule: 'ex' });
+        assert.equal(status, 401);
+    });
+
+    it('lists created rooms', async () => {
+        const owner = await connectUser(baseUrl, 'owner');
+        const roomId = await createRoom(owner);
+
+        const { body } = await api(baseUrl, 'GET', '/api/rooms');
+        const room = body.find(item => item.id === roomId);
+        assert.equal(room.name, 'test room');
+        assert.equal(room.rule, 'ex');
+        assert.equal(room.memberCount, 1);
+    });
+
+    it('checks the room password on join', async () => {
+        const owner = await connectUser(baseUrl, 'owner');
+        const guest = await connectUser(baseUrl, 'guest');
+        const roomId = await createRoom(owner, { password: 'secret' });
+
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, { password: 'wrong' }, guest.token)).status, 403);
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, { password: 'secret' }, guest.token)).status, 200);
+    });
+
+    it('broadcasts rankings while scores are submitted', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            const updated = waitUntil(watcher, 'rankingsUpdated', rankings => rankings.length === 2);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 900, exScore: 100 }, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 800, exScore: 200 }, bob.token);
+
+            const [rankings] = await updated;
+            assert.deepEqual(rankings.map(ranking => [ranking.username, ranking.rank, ranking.score]), [
+                ['bob', 1, 200],
+                ['alice', 2, 100]
+            ]);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('projects final scores from the reported progress', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 0, exScore: 0, progress: { notes: 2, totalNotes: 1 } }, alice.token)).status, 400);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            const updated = waitUntil(watcher, 'rankingsUpdated', rankings => rankings.length === 2);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 0, exScore: 300, progress: { notes: 300, totalNotes: 1000 } }, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 0, exScore: 200, progress: { elapsed: 30, duration: 120 } }, bob.token);
+
+            const [rankings] = await updated;
+            assert.deepEqual(rankings.map(ranking => [ranking.username, ranking.rank, ranking.projectedScore, ranking.paceGap, ranking.projectedRank]), [
+                ['alice', 1, 1000, 0, 1],
+                ['bob', 2, 800, -50, 2]
+            ]);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('keeps the best score submitted during a song', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const roomId = await createRoom(alice);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 900, exScore: 300 }, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 950, exScore: 250 }, alice.token);
+
+            const finished = waitFor(watcher, 'songFinished');
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+            const { rankings } = await finished;
+            assert.equal(rankings[0].normal, 950);
+            assert.equal(rankings[0].ex, 300);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('breaks ties by who reached the score of the room rule first', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice, { tieBreaker: 'submittedAt' });
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const submit = async (player, normalScore, exScore) => {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore, exScore }, player.token);
+            await new Promise(resolve => setTimeout(resolve, 5));
+        };
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            await submit(alice, 500, 100);
+            await submit(bob, 500, 100);
+            // EXスコアは変わらず通常スコアのみ伸びても、EXスコアに到達した時刻は変わらない
+            await submit(alice, 600, 100);
+
+            const finished = waitFor(watcher, 'songFinished');
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, bob.token);
+            const { rankings } = await finished;
+            assert.deepEqual(rankings.map(ranking => [ranking.username, ranking.rank]), [['alice', 1], ['bob', 2]]);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('records the score timeline of finished songs', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const roomId = await createRoom(alice);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 100, exScore: 10 }, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 100, exScore: 10 }, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 500, exScore: 50 }, alice.token);
+
+            const finished = waitFor(watcher, 'songFinished');
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+            await finished;
+        } finally {
+            watcher.close();
+        }
+
+        const { body: songs } = await api(baseUrl, 'GET', `/api/rooms/${roomId}/songs`);
+        assert.equal(songs.length, 1);
+
+        const { status, body: timeline } = await api(baseUrl, 'GET', `/api/rooms/${roomId}/songs/${songs[0].songId}/timeline`);
+        assert.equal(status, 200);
+        assert.equal(timeline.players[0].username, 'alice');
+        // 同じスコアの再送信は記録しない
+        assert.deepEqual(timeline.players[0].timeline.map(([elapsed, normal, ex]) => [normal, ex]), [[100, 10], [500, 50]]);
+        assert.ok(timeline.duration >= timeline.players[0].timeline[1][0]);
+
+        assert.equal((await api(baseUrl, 'GET', `/api/rooms/${roomId}/songs/unknown/timeline`)).status, 404);
+    });
+
+    it('awards points when every player has finished', async () => {
+        const players = [];
+        for (const name of ['p1', 'p2', 'p3']) {
+            players.push(await connectUser(baseUrl, name));
+        }
+        const roomId = await createRoom(players[0], { scoring: { type: 'f1' } });
+        for (const player of players.slice(1)) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, player.token);
+        }
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            const finished = waitFor(watcher, 'songFinished');
+            await playSong(roomId, players, [300, 200, 100]);
+            const { rankings, members } = await finished;
+
+            assert.deepEqual(rankings.map(ranking => ranking.awardedPoints), [25, 18, 15]);
+            const points = Object.fromEntries(members.map(member => [member.username, member.points]));
+            assert.deepEqual(points, { p1: 25, p2: 18, p3: 15 });
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('shares points between tied players', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            const finished = waitFor(watcher, 'songFinished');
+            await playSong(roomId, [alice, bob], [150, 150]);
+            const { rankings } = await finished;
+
+            assert.deepEqual(rankings.map(ranking => [ranking.rank, ranking.awardedPoints]), [[1, 1.5], [1, 1.5]]);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('does not finish the song until every player has finished', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 1 }, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 2 }, bob.token);
+
+            const userFinished = waitFor(watcher, 'userFinished');
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+            assert.equal((await userFinished).username, 'alice');
+            console.error("X", await waitFor(watcher, "songFinished", 1000).catch(e => e.message));
+
+            const finished = waitFor(watcher, 'songFinished');
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, bob.token);
+            assert.equal((await finished).rankings[0].username, 'bob');
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('marks players who do not finish in time as DNF', async () => {
+        const players = [];
+        for (const name of ['p1', 'p2', 'p3']) {
+            players.push(await connectUser(baseUrl, name));
+        }
+        const roomId = await createRoom(players[0], { finishTimeout: { seconds: 1, action: 'dnf' } });
+        for (const player of players.slice(1)) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, player.token);
+        }
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 100 }, players[0].token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 200 }, players[1].token);
+
+            // 最初の終了から1秒で残りのプレイヤーはDNF（スコアのないプレイヤーも含む）
+            const finished = waitFor(watcher, 'songFinished', 3000);
+            const startedAt = Date.now();
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, players[0].token);
+            const { rankings } = await finished;
+
+            assert.ok(Date.now() - startedAt >= 900);
+            assert.deepEqual(rankings.map(ranking => [ranking.username, ranking.rank, !!ranking.dnf, ranking.awardedPoints]), [
+                ['p1', 1, false, 2],
+                ['p2', 2, true, 0],
+                ['p3', 3, true, 0]
+            ]);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('finishes the song when the last unfinished player leaves', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 100 }, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 50 }, bob.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+
+            const finished = waitFor(watcher, 'songFinished');
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/leave`, {}, bob.token);
+            assert.equal((await finished).rankings[0].username, 'alice');
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('does not finish the song when every player has left', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 100 }, alice.token);
+
+            const finished = waitFor(watcher, 'songFinished', 300);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/leave`, {}, alice.token);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/leave`, {}, bob.token);
+            await assert.rejects(finished);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('rejects finishing when no song is active', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const roomId = await createRoom(alice);
+
+        const { status } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+        assert.equal(status, 400);
+    });
+
+    it('rejects invalid scores', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const roomId = await createRoom(alice);
+
+        for (const score of [{ normalScore: '1', exScore: 1 }, { normalScore: -1, exScore: 1 }, { normalScore: 1, exScore: 1.5 }]) {
+            const { status } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, score, alice.token);
+            assert.equal(status, 400);
+        }
+    });
+
+    it('validates song metadata reported during a song', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 1 }, alice.token);
+
+        for (const [metadata, error] of [[{ title: ['Song'] }, 'Invalid title'], [{ level: 'x'.repeat(11) }, 'Invalid level'], [{ maxExScore: 0 }, 'Invalid maxExScore']]) {
+            const { status, body } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/song`, metadata, alice.token);
+            assert.equal(status, 400);
+            assert.equal(body.error, error);
+        }
+
+        const { status, body } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/song`, { title: 'Song', level: 12, chartId: 'chart' }, alice.token);
+        assert.equal(status, 200);
+        assert.equal(body.chartMismatch, false);
+    });
+
+    it('only accepts scores from players in the room', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const outsider = await connectUser(baseUrl, 'outsider');
+        const roomId = await createRoom(alice);
+
+        const { status } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 1 }, outsider.token);
+        assert.equal(status, 404);
+    });
+
+    it('rejects scores from players who already finished', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1, exScore: 1 }, alice.token);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, alice.token);
+
+        const { status } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 2, exScore: 2 }, alice.token);
+        assert.equal(status, 409);
+    });
+
+    it('starts the song after the ready check and countdown', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice, { readyCheck: true });
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const score = player => api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore: 100 }, player.token);
+        const countdown = body => api(baseUrl, 'POST', `/api/rooms/${roomId}/countdown`, body, alice.token);
+
+        assert.equal((await score(alice)).status, 409);
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/countdown`, {}, bob.token)).status, 403);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            const ready = waitUntil(watcher, 'readyChanged', data => data.allReady);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/ready`, {}, alice.token);
+            assert.equal((await countdown({ seconds: 1 })).status, 409);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/ready`, { ready: true }, bob.token);
+            await ready;
+
+            const started = waitFor(watcher, 'countdownStarted');
+            const opened = waitFor(watcher, 'songStarted');
+            const { body } = await countdown({ seconds: 1 });
+            const { songId, startsAt } = await started;
+            assert.equal(songId, body.songId);
+
+            // 開始時刻までのスコアは受け付けない
+            assert.equal((await score(alice)).status, 409);
+            const song = await opened;
+            assert.equal(song.songId, songId);
+            assert.ok(Date.now() >= new Date(startsAt).getTime());
+            assert.equal((await score(alice)).status, 200);
+
+            // 曲の途中はカウントダウンを開始できない
+            assert.equal((await countdown({ force: true })).status, 409);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('notifies the room when a member leaves', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            const left = waitFor(watcher, 'memberLeft');
+            assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/leave`, {}, bob.token)).status, 200);
+            assert.equal((await left).userId, bob.userId);
+
+            const { body } = await api(baseUrl, 'GET', '/api/rooms');
+            assert.equal(body.find(room => room.id === roomId).memberCount, 1);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('only lets members leave the room', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const carol = await connectUser(baseUrl, 'carol');
+        const roomId = await createRoom(alice);
+        const otherRoomId = await createRoom(carol);
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        try {
+            let notified = false;
+            watcher.on('memberLeft', () => {
+                notified = true;
+            });
+            assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/leave`, {}, carol.token)).status, 404);
+            assert.equal((await api(baseUrl, 'POST', '/api/resume', {}, carol.token)).body.roomId, otherRoomId);
+            assert.equal((await api(baseUrl, 'GET', '/api/rooms')).body.find(room => room.id === roomId).memberCount, 1);
+            assert.equal(notified, false);
+        } finally {
+            watcher.close();
+        }
+    });
+
+    it('transfers ownership when the owner leaves', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        assert.equal((await api(baseUrl, 'POST', '/api/resume', {}, bob.token)).body.isOwner, false);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/leave`, {}, alice.token);
+        assert.equal((await api(baseUrl, 'POST', '/api/resume', {}, bob.token)).body.isOwner, true);
+    });
+});
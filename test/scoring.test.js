@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeScoringConfig, calculatePoints, normalizeTeamConfig, calculateTeamRankings, normalizeFinishTimeoutConfig, normalizeHandicapConfig, applyHandicap, normalizeGhostConfig, normalizeSurvivalConfig, selectEliminated, normalizeProgress, addProjections } = require('../scoring');
+
+function rankings(entries) {
+    return entries.map(([userId, rank, score]) => ({ userId, rank, score }));
+}
+
+describe('scoring', () => {
+    it('uses the default table when no config is given', () => {
+        const points = calculatePoints(rankings([['a', 1, 300], ['b', 2, 200], ['c', 3, 100]]), normalizeScoringConfig(null));
+        assert.deepEqual(Object.fromEntries(points), { a: 2, b: 1, c: 0 });
+    });
+
+    it('splits the points of tied ranks evenly', () => {
+        const config = normalizeScoringConfig({ type: 'f1' });
+        const points = calculatePoints(rankings([['a', 1, 300], ['b', 2, 200], ['c', 2, 200]]), config);
+        assert.deepEqual(Object.fromEntries(points), { a: 25, b: 16.5, c: 16.5 });
+    });
+
+    it('awards the number of beaten players', () => {
+        const config = normalizeScoringConfig({ type: 'beaten' });
+        const points = calculatePoints(rankings([['a', 1, 300], ['b', 1, 300], ['c', 3, 100]]), config);
+        assert.deepEqual(Object.fromEntries(points), { a: 1, b: 1, c: 0 });
+    });
+
+    it('adds the margin bonus only to a sole winner', () => {
+        const config = normalizeScoringConfig({ type: 'table', table: [3, 1], marginBonus: { threshold: 50, points: 2 } });
+        const winner = calculatePoints(rankings([['a', 1, 300], ['b', 2, 200]]), config);
+        assert.equal(winner.get('a'), 5);
+
+        const tied = calculatePoints(rankings([['a', 1, 300], ['b', 1, 300]]), config);
+        assert.equal(tied.get('a'), 2);
+    });
+
+    it('gives no points to players who did not finish', () => {
+        const players = rankings([['a', 1, 300], ['b', 2, 200], ['c', 3, 400]]);
+        players[2].dnf = true;
+        const points = calculatePoints(players, normalizeScoringConfig({ type: 'beaten' }));
+        assert.deepEqual(Object.fromEntries(points), { a: 1, b: 0, c: 0 });
+    });
+
+    it('normalizes the finish timeout', () => {
+        assert.equal(normalizeFinishTimeoutConfig(null), null);
+        assert.deepEqual(normalizeFinishTimeoutConfig({ seconds: 30 }), { seconds: 30, from: 'firstFinish', action: 'finish' });
+        assert.equal(normalizeFinishTimeoutConfig({ seconds: 0 }), false);
+        assert.equal(normalizeFinishTimeoutConfig({ seconds: 30, from: 'start' }), false);
+        assert.equal(normalizeFinishTimeoutConfig({ seconds: 30, action: 'kick' }), false);
+    });
+
+    it('rejects invalid configs', () => {
+        assert.equal(normalizeScoringConfig({ type: 'unknown' }), null);
+        assert.equal(normalizeScoringConfig({ type: 'table', table: [-1] }), null);
+        assert.equal(normalizeTeamConfig({ teams: ['red'] }), false);
+        assert.equal(normalizeTeamConfig({ aggregate: 'max' }), false);
+    });
+
+    it('removes HTML from team names', () => {
+        assert.deepEqual(normalizeTeamConfig({ teams: ['<b>red</b>', 'blue'] }).teams, ['bred/b', 'blue']);
+    });
+
+    it('ranks teams by their aggregated scores', () => {
+        const members = rankings([['a', 1, 300], ['b', 2, 250], ['c', 3, 100]]);
+        const assignments = { a: 'red', b: 'blue', c: 'red' };
+
+        const sum = calculateTeamRankings(members, normalizeTeamConfig({ aggregate: 'sum', teams: ['red', 'blue'] }), assignments);
+        assert.deepEqual(sum.map(team => [team.team, team.rank, team.score]), [['red', 1, 400], ['blue', 2, 250]]);
+
+        const average = calculateTeamRankings(members, normalizeTeamConfig({ aggregate: 'average', teams: ['red', 'blue'] }), assignments);
+        assert.deepEqual(average.map(team => [team.team, team.rank, team.score]), [['blue', 1, 250], ['red', 2, 200]]);
+    });
+
+    it('applies flat and percentage handicaps', () => {
+        assert.equal(applyHandicap(1000, normalizeHandicapConfig({ type: 'offset', value: -150 })), 850);
+        assert.equal(applyHandicap(1001, normalizeHandicapConfig({ type: 'percent', value: 110 })), 1101);
+        assert.equal(applyHandicap(1000, null), 1000);
+        assert.equal(normalizeHandicapConfig({ type: 'percent', value: 100 }), null);
+        assert.equal(normalizeHandicapConfig({ type: 'percent', value: 0 }), false);
+        assert.equal(normalizeHandicapConfig({ type: 'offset', value: 1.5 }), false);
+    });
+
+    it('normalizes ghost configs', () => {
+        assert.deepEqual(normalizeGhostConfig({ type: 'pace', rate: 88.89, label: '<b>AAA</b>' }), { type: 'pace', rate: 88.89, maxScore: null, duration: null, label: 'bAAA/b' });
+        assert.equal(normalizeGhostConfig({ type: 'pace', rate: 80, duration: 0 }), false);
+        assert.deepEqual(normalizeGhostConfig({ type: 'personalBest', userId: 'abc-123' }), { type: 'personalBest', userId: 'abc-123' });
+        assert.equal(normalizeGhostConfig({ type: 'pace', rate: 120 }), false);
+        assert.equal(normalizeGhostConfig({ type: 'pace', rate: 80, maxScore: 0 }), false);
+        assert.equal(normalizeGhostConfig({ type: 'rival' }), false);
+    });
+
+    it('eliminates the lowest ranks but keeps players tied with the last survivor', () => {
+        assert.deepEqual(normalizeSurvivalConfig({}), { eliminatePerSong: 1 });
+        assert.equal(normalizeSurvivalConfig({ eliminatePerSong: 0 }), false);
+
+        const ids = entries => entries.map(entry => entry.userId);
+        assert.deepEqual(ids(selectEliminated(rankings([['a', 1, 300], ['b', 2, 200], ['c', 3, 100]]), 1)), ['c']);
+        assert.deepEqual(ids(selectEliminated(rankings([['a', 1, 300], ['b', 2, 200], ['c', 3, 100]]), 5)), ['b', 'c']);
+        assert.deepEqual(ids(selectEliminated(rankings([['a', 1, 300], ['b', 2, 200], ['c', 2, 200]]), 1)), []);
+        assert.deepEqual(ids(selectEliminated(rankings([['a', 1, 300], ['b', 1, 300], ['c', 3, 100], ['d', 3, 100]]), 2)), ['c', 'd']);
+    });
+
+    it('projects final scores from the progress of each player', () => {
+        assert.equal(normalizeProgress({ notes: 250, totalNotes: 1000 }), 0.25);
+        assert.equal(normalizeProgress({ elapsed: 60, duration: 120 }), 0.5);
+        assert.equal(normalizeProgress(undefined), null);
+        assert.equal(normalizeProgress({ notes: 1001, totalNotes: 1000 }), false);
+        assert.equal(normalizeProgress({ elapsed: 10 }), false);
+
+        const projected = addProjections([
+            { userId: 'a', rank: 1, score: 600, rawScore: 600, handicap: null, progress: 0.75 },
+            { userId: 'b', rank: 2, score: 500, rawScore: 500, handicap: null, progress: 0.5 },
+            { userId: 'c', rank: 3, score: 100, rawScore: 100, handicap: null, progress: null }
+        ], { b: 900 });
+        assert.deepEqual(projected.map(ranking => [ranking.userId, ranking.projectedScore, ranking.paceGap, ranking.projectedRank]), [
+            ['a', 800, -75, 2],
+            ['b', 900, 0, 1],
+            ['c', null, null, 3]
+        ]);
+    });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getSeasonId, aggregateStats, formatStats, buildLeaderboard } = require('../stats');
+const { startServer, stopServer, api, connectUser } = require('./helpers');
+
+// [profileId, rank, exScore] の配列から曲の記録を作る
+function record(id, finishedAt, entries, chart = null) {
+    return {
+        id,
+        roomId: 'room',
+        rule: 'ex',
+        season: getSeasonId(finishedAt),
+        finishedAt,
+        playerCount: entries.length,
+        chart,
+        players: entries.map(([profileId, rank, ex]) => ({
+            profileId,
+            username: profileId,
+            rank,
+            normal: 0,
+            ex,
+            dnf: false,
+            awardedPoints: rank === 1 ? 2 : 0
+        }))
+    };
+}
+
+describe('stats', () => {
+    const records = [
+        record('s1', '2026-01-10T00:00:00Z', [['a', 1, 150], ['b', 2, 100]], { title: 'Song', difficulty: 'A', level: 12, chartId: null }),
+        record('s2', '2026-01-20T00:00:00Z', [['a', 2, 120], ['b', 1, 180]], { title: 'Song', difficulty: 'A', level: 12, chartId: null }),
+        record('s3', '2026-01-25T00:00:00Z', [['a', 1, 90], ['b', 1, 90]]),
+        record('s4', '2026-02-01T00:00:00Z', [['a', 1, 200]])
+    ];
+
+    it('groups records into monthly seasons', () => {
+        assert.equal(getSeasonId('2026-01-31T23:59:59Z'), '2026-01');
+        assert.equal(getSeasonId('2026-12-01T00:00:00Z'), '2026-12');
+    });
+
+    it('aggregates wins, average rank, best scores and head-to-head records per season', () => {
+        const stats = aggregateStats(records, '2026-01');
+        const a = formatStats(stats.get('a'), true);
+
+        assert.equal(a.songsPlayed, 3);
+        assert.equal(a.wins, 2);
+        assert.equal(a.averageRank, 1.33);
+        assert.equal(a.bestScores.ex, 150);
+        assert.deepEqual(a.charts.map(chart => [chart.title, chart.ex, chart.plays]), [['Song', 150, 2]]);
+        assert.deepEqual(a.headToHead, [{ profileId: 'b', username: 'b', wins: 1, losses: 1, draws: 1 }]);
+    });
+
+    it('does not count solo songs as wins in the lifetime leaderboard', () => {
+        const leaderboard = buildLeaderboard(aggregateStats(records));
+        assert.deepEqual(leaderboard.map(entry => [entry.position, entry.profileId, entry.wins, entry.songsPlayed]), [
+            [1, 'a', 2, 4],
+            [2, 'b', 2, 3]
+        ]);
+    });
+});
+
+describe('stats API', () => {
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    async function playSong(roomId, results) {
+        for (const [player, exScore] of results) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore, song: { title: 'Stats Song', difficulty: 'ANOTHER' } }, player.token);
+        }
+        for (const [player] of results) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+        }
+    }
+
+    it('links players to their profile by username and player token', async () => {
+        const alice = await connectUser(baseUrl, 'linker');
+        assert.ok(alice.profileId);
+        assert.ok(alice.playerToken);
+
+        const { body: again } = await api(baseUrl, 'POST', '/api/connect', { username: 'Linker', playerToken: alice.playerToken });
+        assert.equal(again.profileId, alice.profileId);
+        assert.equal(again.playerToken, null);
+
+        // トークンのない同名のユーザーには成績を記録しない
+        const impostor = await connectUser(baseUrl, 'linker');
+        assert.equal(impostor.profileId, null);
+    });
+
+    it('aggregates finished songs into the season leaderboard and player stats', async () => {
+        const alice = await connectUser(baseUrl, 'stats-alice');
+        const bob = await connectUser(baseUrl, 'stats-bob');
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'stats room', rule: 'ex' }, alice.token);
+        const roomId = body.roomId;
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+
+        await playSong(roomId, [[alice, 150], [bob, 100]]);
+        await playSong(roomId, [[alice, 180], [bob, 120]]);
+
+        const { body: seasons } = await api(baseUrl, 'GET', '/api/stats/seasons');
+        assert.deepEqual(seasons.seasons, [seasons.current]);
+
+        const { body: leaderboard } = await api(baseUrl, 'GET', '/api/stats/leaderboard');
+        assert.equal(leaderboard.season, seasons.current);
+        assert.deepEqual(leaderboard.players.map(player => [player.username, player.wins, player.averageRank]), [
+            ['stats-alice', 2, 1],
+            ['stats-bob', 0, 2]
+        ]);
+
+        const { body: stats } = await api(baseUrl, 'GET', `/api/stats/players/${alice.profileId}?season=all`);
+        assert.equal(stats.season, null);
+        assert.equal(stats.bestScores.ex, 180);
+        assert.deepEqual(stats.charts.map(chart => [chart.title, chart.ex, chart.plays]), [['Stats Song', 180, 2]]);
+        assert.deepEqual(stats.headToHead.map(versus => [versus.username, versus.wins, versus.losses]), [['stats-bob', 2, 0]]);
+    });
+
+    it('rejects invalid seasons and unknown players', async () => {
+        assert.equal((await api(baseUrl, 'GET', '/api/stats/leaderboard?season=2026-13')).status, 400);
+        assert.equal((await api(baseUrl, 'GET', '/api/stats/players/unknown')).status, 404);
+    });
+});
@@ -0,0 +1,99 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, stopServer, api, connectUser, connectWebUser, watchRoom, waitFor, waitUntil } = require('./helpers');
+
+describe('survival rooms', () => {
+    let baseUrl;
+    let sockets = [];
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    afterEach(() => {
+        sockets.forEach(socket => socket.close());
+        sockets = [];
+    });
+
+    async function createSurvivalRoom(usernames, survival) {
+        const owner = await connectWebUser(baseUrl, 'owner');
+        sockets.push(owner.socket);
+
+        const created = waitFor(owner.socket, 'roomCreated');
+        owner.socket.emit('createRoom', { name: 'survival room', rule: 'ex', survival });
+        const { roomId } = await created;
+
+        const players = [];
+        for (const username of usernames) {
+            const player = await connectUser(baseUrl, username);
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, player.token);
+            players.push(player);
+        }
+
+        const watcher = await watchRoom(baseUrl, roomId);
+        sockets.push(watcher);
+        return { owner, roomId, players, watcher };
+    }
+
+    async function playSong(roomId, results) {
+        for (const [player, exScore] of results) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 0, exScore }, player.token);
+        }
+        for (const [player] of results) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+        }
+    }
+
+    it('eliminates the lowest player after each song until one winner remains', async () => {
+        const { roomId, players: [alice, bob, carol], watcher } = await createSurvivalRoom(['alice', 'bob', 'carol'], { eliminatePerSong: 1 });
+
+        const firstRound = waitFor(watcher, 'survivalUpdated');
+        await playSong(roomId, [[alice, 300], [bob, 200], [carol, 100]]);
+        assert.deepEqual((await firstRound).eliminated.map(entry => entry.username), ['carol']);
+
+        // 脱落したプレイヤーは入り直してもプレイヤーに戻れない
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, carol.token);
+        assert.equal((await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 0, exScore: 500 }, carol.token)).status, 403);
+
+        const finished = waitFor(watcher, 'survivalFinished');
+        await playSong(roomId, [[alice, 100], [bob, 200]]);
+        const result = await finished;
+        assert.equal(result.winner.username, 'bob');
+        assert.deepEqual(result.standings.map(entry => [entry.username, entry.place]), [['bob', 1], ['alice', 2], ['carol', 3]]);
+
+        const { body: resumed } = await api(baseUrl, 'POST', '/api/resume', {}, alice.token);
+        assert.equal(resumed.role, 'spectator');
+    });
+
+    it('lets the owner change the elimination count and revive players', async () => {
+        const { owner, roomId, players: [alice, bob, carol], watcher } = await createSurvivalRoom(['alice', 'bob', 'carol'], { eliminatePerSong: 1 });
+
+        const changed = waitFor(watcher, 'survivalUpdated');
+        owner.socket.emit('setSurvival', { survival: { eliminatePerSong: 2 } });
+        assert.deepEqual((await changed).survival, { eliminatePerSong: 2 });
+
+        const finished = waitFor(watcher, 'survivalFinished');
+        await playSong(roomId, [[alice, 300], [bob, 200], [carol, 100]]);
+        assert.equal((await finished).winner.username, 'alice');
+
+        const rejected = waitFor(owner.socket, 'error');
+        owner.socket.emit('changeMemberRole', { targetUserId: bob.userId, role: 'player' });
+        assert.equal((await rejected).message, 'Player has been eliminated');
+
+        const revived = waitUntil(watcher, 'roleChanged', data => data.userId === bob.userId);
+        const updated = waitFor(watcher, 'survivalUpdated');
+        owner.socket.emit('revivePlayer', { targetUserId: bob.userId });
+        assert.equal((await revived).role, 'player');
+        const state = await updated;
+        assert.equal(state.survivalWinner, null);
+        assert.deepEqual(state.eliminated.map(entry => entry.username), ['carol']);
+
+        const notEliminated = waitFor(owner.socket, 'error');
+        owner.socket.emit('revivePlayer', { targetUserId: alice.userId });
+        assert.equal((await notEliminated).message, 'Player is not eliminated');
+    });
+});
@@ -0,0 +1,158 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Tournament } = require('../tournament');
+const { startServer, stopServer, api, connectUser } = require('./helpers');
+
+function createTournament(format, players, bestOf = 1) {
+    const tournament = new Tournament('cup', format, bestOf, 'organizer');
+    players.forEach(userId => tournament.addPlayer(userId, userId));
+    tournament.start();
+    return tournament;
+}
+
+function getMatches(tournament, bracket, round) {
+    return tournament.matches.filter(match => match.bracket === bracket && match.round === round);
+}
+
+// 曲の順位（先に並べた方が上位）
+function rankings(...userIds) {
+    return userIds.map((userId, i) => ({ userId, rank: i + 1, score: 1000 - i }));
+}
+
+describe('tournament brackets', () => {
+    it('seeds single elimination and advances byes as walkovers', () => {
+        const tournament = createTournament('single', ['a', 'b', 'c']);
+        const [first, second] = getMatches(tournament, 'winners', 1);
+        const [final] = getMatches(tournament, 'winners', 2);
+
+        // 1シードは空き枠との対戦になり、そのまま決勝に進む
+        assert.deepEqual(first.players, ['a', null]);
+        assert.equal(first.status, 'finished');
+        assert.equal(first.walkover, true);
+        assert.deepEqual(second.players, ['b', 'c']);
+        assert.equal(second.status, 'ready');
+        assert.deepEqual(final.players, ['a', null]);
+        assert.equal(final.status, 'pending');
+
+        tournament.reportMatch(second.id, 'c');
+        assert.deepEqual(final.players, ['a', 'c']);
+        assert.equal(final.status, 'ready');
+
+        tournament.reportMatch(final.id, 'c');
+        assert.equal(tournament.status, 'finished');
+        assert.equal(tournament.winnerId, 'c');
+    });
+
+    it('plays a best-of series until one player takes the majority', () => {
+        const tournament = createTournament('single', ['a', 'b'], 3);
+        const [match] = tournament.matches;
+        tournament.activateMatch(match.id, 'room');
+
+        assert.equal(tournament.recordSong(match, 'song1', rankings('a', 'b')), 0);
+        // 同順位は引き分けで勝数に数えない
+        assert.equal(tournament.recordSong(match, 'song2', [
+            { userId: 'a', rank: 1, score: 900 },
+            { userId: 'b', rank: 1, score: 900 }
+        ]), null);
+        assert.equal(tournament.recordSong(match, 'song3', rankings('b', 'a')), 1);
+        assert.deepEqual(match.wins, [1, 1]);
+        assert.equal(match.status, 'active');
+
+        tournament.recordSong(match, 'song4', rankings('a', 'b'));
+        assert.deepEqual(match.wins, [2, 1]);
+        assert.equal(match.status, 'finished');
+        assert.equal(match.walkover, false);
+        assert.equal(match.songs.length, 4);
+        assert.equal(tournament.winnerId, 'a');
+    });
+
+    it('drops losers into the losers bracket and meets them again in the grand final', () => {
+        const tournament = createTournament('double', ['a', 'b', 'c', 'd']);
+        const [first, second] = getMatches(tournament, 'winners', 1);
+        const [winnersFinal] = getMatches(tournament, 'winners', 2);
+        const [losersFirst] = getMatches(tournament, 'losers', 1);
+        const [losersFinal] = getMatches(tournament, 'losers', 2);
+        const [grandFinal] = getMatches(tournament, 'grandFinal', 1);
+
+        assert.deepEqual(first.players, ['a', 'd']);
+        assert.deepEqual(second.players, ['b', 'c']);
+
+        tournament.reportMatch(first.id, 'a');
+        tournament.reportMatch(second.id, 'c');
+        assert.deepEqual(losersFirst.players, ['d', 'b']);
+        assert.deepEqual(winnersFinal.players, ['a', 'c']);
+
+        tournament.reportMatch(winnersFinal.id, 'a');
+        assert.deepEqual(losersFinal.players, [null, 'c']);
+
+        tournament.reportMatch(losersFirst.id, 'b');
+        assert.deepEqual(losersFinal.players, ['b', 'c']);
+
+        tournament.reportMatch(losersFinal.id, 'b');
+        assert.deepEqual(grandFinal.players, ['a', 'b']);
+        assert.equal(tournament.status, 'running');
+
+        tournament.reportMatch(grandFinal.id, 'b');
+        assert.equal(tournament.status, 'finished');
+        assert.equal(tournament.winnerId, 'b');
+    });
+
+    it('pairs every player once in a round robin and ranks by match wins', () => {
+        const tournament = createTournament('roundRobin', ['a', 'b', 'c']);
+        const pairs = tournament.matches.map(match => match.players.slice().sort().join('-')).sort();
+        assert.deepEqual(pairs, ['a-b', 'a-c', 'b-c']);
+        assert.ok(tournament.matches.every(match => match.status === 'ready'));
+
+        tournament.matches.forEach(match => {
+            tournament.reportMatch(match.id, match.players.includes('c') ? 'c' : 'b');
+        });
+
+        assert.equal(tournament.status, 'finished');
+        assert.equal(tournament.winnerId, 'c');
+        assert.deepEqual(tournament.getStandings().map(standing => [standing.userId, standing.matchWins]), [['c', 2], ['b', 1], ['a', 0]]);
+    });
+});
+
+describe('tournament api', () => {
+    let baseUrl;
+
+    before(async () => {
+        baseUrl = await startServer();
+    });
+
+    after(async () => {
+        await stopServer();
+    });
+
+    it('only lets the room owner or a co-host run matches in a room', async () => {
+        const owner = await connectUser(baseUrl, 'owner');
+        const coHost = await connectUser(baseUrl, 'cohost');
+        const stranger = await connectUser(baseUrl, 'stranger');
+        const { body: { roomId } } = await api(baseUrl, 'POST', '/api/rooms', { name: 'cup room', rule: 'ex' }, owner.token);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, coHost.token);
+
+        let response = await api(baseUrl, 'POST', '/api/tournaments', { name: 'cup', roomId }, stranger.token);
+        assert.equal(response.status, 403);
+
+        response = await api(baseUrl, 'POST', '/api/tournaments', { name: 'cup', roomId }, coHost.token);
+        assert.equal(response.status, 403);
+
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/cohosts`, { userId: coHost.userId, permissions: ['changeRole'] }, owner.token);
+        response = await api(baseUrl, 'POST', '/api/tournaments', { name: 'cup', roomId }, coHost.token);
+        assert.equal(response.status, 200);
+
+        // 部屋を指定せずに作った大会でも、他人の部屋では試合を始められない
+        const { body: { tournamentId } } = await api(baseUrl, 'POST', '/api/tournaments', { name: 'cup' }, stranger.token);
+        for (const player of [owner, coHost]) {
+            await api(baseUrl, 'POST', `/api/tournaments/${tournamentId}/players`, { userId: player.userId }, stranger.token);
+        }
+        await api(baseUrl, 'POST', `/api/tournaments/${tournamentId}/start`, {}, stranger.token);
+        const { body: tournament } = await api(baseUrl, 'GET', `/api/tournaments/${tournamentId}`);
+
+        response = await api(baseUrl, 'POST', `/api/tournaments/${tournamentId}/matches/${tournament.matches[0].id}/start`, { roomId }, stranger.token);
+        assert.equal(response.status, 403);
+        const { body: unchanged } = await api(baseUrl, 'GET', `/api/tournaments/${tournamentId}`);
+        assert.equal(unchanged.matches[0].status, 'ready');
+        assert.equal(unchanged.matches[0].roomId, null);
+    });
+});
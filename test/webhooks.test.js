@@ -0,0 +1,154 @@
+// 再送の間隔を短くし、ローカルの受信サーバーへの送信を許可してテストする
+process.env.WEBHOOK_RETRY_DELAY = '20';
+process.env.WEBHOOK_ALLOW_PRIVATE = '1';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { signPayload, isPrivateHost } = require('../webhooks');
+const { startServer, stopServer, api, connectUser } = require('./helpers');
+
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || 'admin123';
+
+// 受信したリクエストを記録するローカルのHTTPサーバー
+// statuses に積んだステータスコードを順に返す（空の場合は200）
+function startReceiver() {
+    const receiver = { requests: [], statuses: [] };
+    receiver.server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body, payload: JSON.parse(body) });
+            res.statusCode = receiver.statuses.shift() || 200;
+            res.end();
+        });
+    });
+    return new Promise(resolve => {
+        receiver.server.listen(0, '127.0.0.1', () => {
+            receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+            resolve(receiver);
+        });
+    });
+}
+
+async function waitUntilTrue(condition, timeout = 2000) {
+    const deadline = Date.now() + timeout;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+describe('webhook hosts', () => {
+    it('detects private, loopback and link-local hosts', () => {
+        for (const host of ['localhost', 'api.localhost', '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '[::1]', '[fe80::1]', '[fd00::1]', '[::ffff:127.0.0.1]']) {
+            assert.equal(isPrivateHost(host), true, host);
+        }
+        for (const host of ['example.com', '93.184.216.34', '[2606:4700::1111]']) {
+            assert.equal(isPrivateHost(host), false, host);
+        }
+    });
+});
+
+describe('webhooks', () => {
+    let baseUrl;
+    let receiver;
+
+    before(async () => {
+        baseUrl = await startServer();
+        receiver = await startReceiver();
+    });
+
+    after(async () => {
+        await stopServer();
+        await new Promise(resolve => receiver.server.close(resolve));
+    });
+
+    beforeEach(() => {
+        receiver.requests = [];
+        receiver.statuses = [];
+    });
+
+    async function createRoom(owner) {
+        const { body } = await api(baseUrl, 'POST', '/api/rooms', { name: 'hook room', rule: 'ex' }, owner.token);
+        return body.roomId;
+    }
+
+    it('posts signed payloads for room events and shows the delivery log to the owner', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+
+        const { status, body: webhook } = await api(baseUrl, 'POST', `/api/rooms/${roomId}/webhooks`, { url: receiver.url, events: ['memberJoined', 'songFinished'] }, alice.token);
+        assert.equal(status, 200);
+        assert.ok(webhook.secret);
+
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+        for (const [player, exScore] of [[alice, 150], [bob, 100]]) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/score`, { normalScore: 1000, exScore }, player.token);
+        }
+        for (const player of [alice, bob]) {
+            await api(baseUrl, 'POST', `/api/rooms/${roomId}/finish`, {}, player.token);
+        }
+        await waitUntilTrue(() => receiver.requests.length === 2);
+
+        const [joined, finished] = receiver.requests;
+        assert.equal(joined.headers['x-webhook-event'], 'memberJoined');
+        assert.equal(joined.payload.data.username, 'bob');
+        assert.equal(finished.payload.event, 'songFinished');
+        assert.equal(finished.payload.room.id, roomId);
+        assert.deepEqual(finished.payload.data.rankings.map(ranking => ranking.username), ['alice', 'bob']);
+        assert.equal(finished.headers['x-webhook-signature'], signPayload(webhook.secret, finished.headers['x-webhook-timestamp'], finished.body));
+
+        await waitUntilTrue(async () => {
+            const { body: list } = await api(baseUrl, 'GET', `/api/rooms/${roomId}/webhooks`, undefined, alice.token);
+            return list[0].deliveries.length === 2 && list[0].deliveries.every(delivery => delivery.status === 'delivered');
+        });
+        const { body: list } = await api(baseUrl, 'GET', `/api/rooms/${roomId}/webhooks`, undefined, alice.token);
+        assert.equal(list[0].secret, undefined);
+
+        assert.equal((await api(baseUrl, 'GET', `/api/rooms/${roomId}/webhooks`, undefined, bob.token)).status, 403);
+    });
+
+    it('retries failed deliveries until they succeed', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+        const bob = await connectUser(baseUrl, 'bob');
+        const roomId = await createRoom(alice);
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/webhooks`, { url: receiver.url, events: ['memberJoined'] }, alice.token);
+
+        receiver.statuses = [500, 503];
+        await api(baseUrl, 'POST', `/api/rooms/${roomId}/join`, {}, bob.token);
+        await waitUntilTrue(() => receiver.requests.length === 3);
+
+        // 再送でも同じ配信IDを使う
+        assert.equal(new Set(receiver.requests.map(request => request.headers['x-webhook-delivery'])).size, 1);
+
+        await waitUntilTrue(async () => {
+            const { body: list } = await api(baseUrl, 'GET', `/api/rooms/${roomId}/webhooks`, undefined, alice.token);
+            return list[0].deliveries[0].status === 'delivered';
+        });
+        const { body: list } = await api(baseUrl, 'GET', `/api/rooms/${roomId}/webhooks`, undefined, alice.token);
+        assert.deepEqual(list[0].deliveries[0].attempts.map(attempt => attempt.statusCode), [500, 503, 200]);
+    });
+
+    it('notifies global webhooks of new rooms and validates registrations', async () => {
+        const alice = await connectUser(baseUrl, 'alice');
+
+        assert.equal((await api(baseUrl, 'POST', '/api/admin/webhooks', { adminPassword: 'wrong', url: receiver.url })).status, 403);
+        assert.equal((await api(baseUrl, 'POST', '/api/admin/webhooks', { adminPassword: ADMIN_PASSWORD, url: 'ftp://example.com' })).status, 400);
+        assert.equal((await api(baseUrl, 'POST', '/api/admin/webhooks', { adminPassword: ADMIN_PASSWORD, url: receiver.url, events: ['unknown'] })).status, 400);
+
+        const { body: webhook } = await api(baseUrl, 'POST', '/api/admin/webhooks', { adminPassword: ADMIN_PASSWORD, url: receiver.url, events: ['roomCreated'], format: 'discord' });
+        await createRoom(alice);
+        await waitUntilTrue(() => receiver.requests.length === 1);
+        assert.equal(receiver.requests[0].payload.content, '部屋「hook room」が作成されました');
+
+        await api(baseUrl, 'POST', `/api/admin/webhooks/${webhook.id}/delete`, { adminPassword: ADMIN_PASSWORD });
+        const { body: list } = await api(baseUrl, 'POST', '/api/admin/webhooks/list', { adminPassword: ADMIN_PASSWORD });
+        assert.deepEqual(list, []);
+    });
+});
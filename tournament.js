@@ -0,0 +1,404 @@
+const { v4: uuidv4 } = require('uuid');
+
+// トーナメント形式
+// single: シングルエリミネーション
+// double: ダブルエリミネーション（グランドファイナルは1試合のみ）
+// roundRobin: 総当たり
+const TOURNAMENT_FORMATS = ['single', 'double', 'roundRobin'];
+const MAX_BEST_OF = 15;
+
+// シード順の並び (例: 8人 -> 1,8,4,5,2,7,3,6) で1回戦の対戦を決める
+function getSeedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+        const length = order.length * 2;
+        order = order.flatMap(seed => [seed, length + 1 - seed]);
+    }
+    return order;
+}
+
+class Tournament {
+    constructor(name, format, bestOf, organizerId) {
+        this.id = uuidv4();
+        this.name = name;
+        this.format = format;
+        this.bestOf = bestOf; // 1試合あたりの曲数（先に過半数を取った方が勝ち）
+        this.organizerId = organizerId;
+        this.players = []; // 登録順 = シード順
+        this.playerNames = {}; // userId -> username（退出後も表示できるよう登録時に保持）
+        this.matches = [];
+        this.status = 'registration'; // 'registration', 'running', 'finished'
+        this.roomId = null; // 試合を順番に進める部屋
+        this.winnerId = null;
+        this.createdAt = new Date();
+    }
+
+    get winsNeeded() {
+        return Math.floor(this.bestOf / 2) + 1;
+    }
+
+    addPlayer(userId, username) {
+        if (this.status !== 'registration') {
+            throw new Error('Tournament already started');
+        }
+        if (this.players.includes(userId)) {
+            throw new Error('Player already registered');
+        }
+        this.players.push(userId);
+        this.playerNames[userId] = username;
+    }
+
+    removePlayer(userId) {
+        if (this.status !== 'registration') {
+            throw new Error('Tournament already started');
+        }
+        if (!this.players.includes(userId)) {
+            throw new Error('Player not registered');
+        }
+        this.players = this.players.filter(playerId => playerId !== userId);
+        delete this.playerNames[userId];
+    }
+
+    getMatch(matchId) {
+        return this.matches.find(match => match.id === matchId) || null;
+    }
+
+    // 組み合わせを生成して開始
+    start() {
+        if (this.status !== 'registration') {
+            throw new Error('Tournament already started');
+        }
+        if (this.players.length < 2) {
+            throw new Error('At least 2 players are required');
+        }
+
+        this.status = 'running';
+        if (this.format === 'roundRobin') {
+            this.createRoundRobin();
+        } else {
+            this.createElimination();
+        }
+    }
+
+    createMatch(bracket, round, index) {
+        const match = {
+            id: uuidv4(),
+            bracket: bracket, // 'winners', 'losers', 'grandFinal', 'roundRobin'
+            round: round,
+            index: index,
+            players: [null, null],
+            byes: [false, false], // 不戦勝の枠
+            wins: [0, 0],
+            songs: [],
+            status: 'pending', // 'pending', 'ready', 'active', 'finished'
+            roomId: null,
+            winnerId: null,
+            loserId: null,
+            walkover: false,
+            winnerTo: null, // { matchId, slot }
+            loserTo: null
+        };
+        this.matches.push(match);
+        return match;
+    }
+
+    createRoundRobin() {
+        // サークル方式で各ラウンドの組み合わせを作る
+        const entries = this.players.slice();
+        if (entries.length % 2 === 1) {
+            entries.push(null);
+        }
+
+        const rounds = entries.length - 1;
+        for (let round = 0; round < rounds; round++) {
+            let index = 0;
+            for (let i = 0; i < entries.length / 2; i++) {
+                const p1 = entries[i];
+                const p2 = entries[entries.length - 1 - i];
+                if (p1 && p2) {
+                    const match = this.createMatch('roundRobin', round + 1, index++);
+                    match.players = [p1, p2];
+                    match.status = 'ready';
+                }
+            }
+            // 先頭を固定して残りを回転
+            entries.splice(1, 0, entries.pop());
+        }
+    }
+
+    createElimination() {
+        const size = Math.pow(2, Math.ceil(Math.log2(this.players.length)));
+        const roundCount = Math.log2(size);
+
+        // 勝者側
+        const winners = [];
+        for (let round = 1; round <= roundCount; round++) {
+            const matches = [];
+            for (let i = 0; i < size / Math.pow(2, round); i++) {
+                matches.push(this.createMatch('winners', round, i));
+            }
+            winners.push(matches);
+        }
+        for (let round = 0; round < roundCount - 1; round++) {
+            winners[round].forEach((match, i) => {
+                match.winnerTo = { matchId: winners[round + 1][Math.floor(i / 2)].id, slot: i % 2 };
+            });
+        }
+
+        if (this.format === 'double') {
+            this.createLosersBracket(winners, size, roundCount);
+        }
+
+        // シード順に配置（空き枠は不戦勝）
+        const seedOrder = getSeedOrder(size);
+        winners[0].forEach((match, i) => {
+            [0, 1].forEach(slot => {
+                const seed = seedOrder[i * 2 + slot];
+                this.placePlayer({ matchId: match.id, slot }, this.players[seed - 1] || null);
+            });
+        });
+    }
+
+    createLosersBracket(winners, size, roundCount) {
+        const grandFinal = this.createMatch('grandFinal', 1, 0);
+        winners[roundCount - 1][0].winnerTo = { matchId: grandFinal.id, slot: 0 };
+
+        // 2人の場合は敗者側なし
+        if (roundCount === 1) {
+            winners[0][0].loserTo = { matchId: grandFinal.id, slot: 1 };
+            return;
+        }
+
+        const losers = [];
+        let round = 1;
+
+        // 敗者側1回戦: 勝者側1回戦の敗者同士
+        const first = [];
+        for (let i = 0; i < size / 4; i++) {
+            const match = this.createMatch('losers', round, i);
+            winners[0][i * 2].loserTo = { matchId: match.id, slot: 0 };
+            winners[0][i * 2 + 1].loserTo = { matchId: match.id, slot: 1 };
+            first.push(match);
+        }
+        losers.push(first);
+
+        for (let wbRound = 1; wbRound < roundCount; wbRound++) {
+            // 敗者側の勝者 vs 勝者側から落ちてきた敗者
+            round++;
+            const previous = losers[losers.length - 1];
+            const dropIn = [];
+            previous.forEach((prevMatch, i) => {
+                const match = this.createMatch('losers', round, i);
+                prevMatch.winnerTo = { matchId: match.id, slot: 0 };
+                winners[wbRound][i].loserTo = { matchId: match.id, slot: 1 };
+                dropIn.push(match);
+            });
+            losers.push(dropIn);
+
+            // 敗者側の勝者同士
+            if (dropIn.length > 1) {
+                round++;
+                const merged = [];
+                for (let i = 0; i < dropIn.length / 2; i++) {
+                    const match = this.createMatch('losers', round, i);
+                    dropIn[i * 2].winnerTo = { matchId: match.id, slot: 0 };
+                    dropIn[i * 2 + 1].winnerTo = { matchId: match.id, slot: 1 };
+                    merged.push(match);
+                }
+                losers.push(merged);
+            }
+        }
+
+        losers[losers.length - 1][0].winnerTo = { matchId: grandFinal.id, slot: 1 };
+    }
+
+    // 勝ち上がり/負け残りの枠にプレイヤーを入れる（nullは不戦勝枠）
+    placePlayer(target, userId) {
+        const match = this.getMatch(target.matchId);
+        if (userId) {
+            match.players[target.slot] = userId;
+        } else {
+            match.byes[target.slot] = true;
+        }
+
+        const filled = [0, 1].every(slot => match.players[slot] || match.byes[slot]);
+        if (match.status !== 'pending' || !filled) {
+            return;
+        }
+
+        if (match.players[0] && match.players[1]) {
+            match.status = 'ready';
+        } else {
+            // 片方(または両方)が不戦勝枠の場合はそのまま勝ち上がり
+            this.finishMatch(match, match.players[0] ? 0 : 1, true);
+        }
+    }
+
+    // 試合を部屋で開始
+    activateMatch(matchId, roomId) {
+        const match = this.getMatch(matchId);
+        if (!match) {
+            throw new Error('Match not found');
+        }
+        if (match.status !== 'ready') {
+            throw new Error('Match is not ready');
+        }
+        if (this.getActiveMatch(roomId)) {
+            throw new Error('Another match is active in this room');
+        }
+
+        match.status = 'active';
+        match.roomId = roomId;
+        return match;
+    }
+
+    getActiveMatch(roomId) {
+        return this.matches.find(match => match.status === 'active' && match.roomId === roomId) || null;
+    }
+
+    getNextReadyMatch() {
+        return this.matches.find(match => match.status === 'ready') || null;
+    }
+
+    // 部屋で確定した1曲分の順位を試合に反映する
+    // 順位が上の方が1勝、同順位は引き分け（勝数に数えない）
+    recordSong(match, songId, rankings) {
+        const entries = match.players.map(userId => rankings.find(ranking => ranking.userId === userId) || null);
+        if (!entries[0] && !entries[1]) {
+            return null;
+        }
+
+        let winnerIndex = null;
+        if (entries[0] && entries[1]) {
+            if (entries[0].rank !== entries[1].rank) {
+                winnerIndex = entries[0].rank < entries[1].rank ? 0 : 1;
+            }
+        } else {
+            winnerIndex = entries[0] ? 0 : 1;
+        }
+
+        match.songs.push({
+            songId: songId,
+            scores: entries.map(entry => entry ? entry.score : null),
+            winnerIndex: winnerIndex
+        });
+
+        if (winnerIndex !== null) {
+            match.wins[winnerIndex]++;
+            if (match.wins[winnerIndex] >= this.winsNeeded) {
+                this.finishMatch(match, winnerIndex, false);
+            }
+        }
+
+        return winnerIndex;
+    }
+
+    // 主催者による結果入力（棄権など）
+    reportMatch(matchId, winnerId) {
+        const match = this.getMatch(matchId);
+        if (!match) {
+            throw new Error('Match not found');
+        }
+        if (match.status !== 'ready' && match.status !== 'active') {
+            throw new Error('Match is not in progress');
+        }
+
+        const winnerIndex = match.players.indexOf(winnerId);
+        if (winnerIndex === -1) {
+            throw new Error('Winner is not in this match');
+        }
+
+        this.finishMatch(match, winnerIndex, true);
+    }
+
+    finishMatch(match, winnerIndex, walkover) {
+        match.status = 'finished';
+        match.walkover = walkover;
+        match.winnerId = match.players[winnerIndex];
+        match.loserId = match.players[1 - winnerIndex];
+
+        if (match.winnerTo) {
+            this.placePlayer(match.winnerTo, match.winnerId);
+        }
+        if (match.loserTo) {
+            this.placePlayer(match.loserTo, match.loserId);
+        }
+
+        this.checkFinished();
+    }
+
+    checkFinished() {
+        if (this.status !== 'running') {
+            return;
+        }
+
+        if (this.format === 'roundRobin') {
+            if (this.matches.every(match => match.status === 'finished')) {
+                this.status = 'finished';
+                this.winnerId = this.getStandings()[0].userId;
+            }
+            return;
+        }
+
+        const final = this.matches.find(match => match.bracket === (this.format === 'double' ? 'grandFinal' : 'winners') && !match.winnerTo);
+        if (final && final.status === 'finished') {
+            this.status = 'finished';
+            this.winnerId = final.winnerId;
+        }
+    }
+
+    // 勝数 → 曲の勝ち越し数の順に並べた成績
+    getStandings() {
+        const standings = new Map(this.players.map(userId => [userId, {
+            userId: userId,
+            matchWins: 0,
+            matchLosses: 0,
+            songWins: 0,
+            songLosses: 0
+        }]));
+
+        this.matches.filter(match => match.status === 'finished' && match.winnerId && match.loserId).forEach(match => {
+            standings.get(match.winnerId).matchWins++;
+            standings.get(match.loserId).matchLosses++;
+            match.players.forEach((userId, i) => {
+                standings.get(userId).songWins += match.wins[i];
+                standings.get(userId).songLosses += match.wins[1 - i];
+            });
+        });
+
+        return Array.from(standings.values()).sort((a, b) =>
+            (b.matchWins - a.matchWins) ||
+            ((b.songWins - b.songLosses) - (a.songWins - a.songLosses)) ||
+            (this.players.indexOf(a.userId) - this.players.indexOf(b.userId))
+        );
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            name: this.name,
+            format: this.format,
+            bestOf: this.bestOf,
+            organizerId: this.organizerId,
+            players: this.players,
+            playerNames: this.playerNames,
+            matches: this.matches,
+            status: this.status,
+            roomId: this.roomId,
+            winnerId: this.winnerId,
+            createdAt: this.createdAt
+        };
+    }
+
+    static fromStorage(data) {
+        const tournament = new Tournament(data.name, data.format, data.bestOf, data.organizerId);
+        Object.assign(tournament, data, { createdAt: new Date(data.createdAt) });
+        return tournament;
+    }
+}
+
+module.exports = {
+    TOURNAMENT_FORMATS,
+    MAX_BEST_OF,
+    Tournament
+};
@@ -0,0 +1,256 @@
+// 入力値の検証
+// スキーマは { フィールド名: 検証関数 } の形式で、検証関数は整形した値か INVALID を返す
+
+const INVALID = Symbol('invalid');
+
+const MAX_USERNAME_LENGTH = 20;
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_PASSWORD_LENGTH = 50;
+const MAX_CHAT_LENGTH = 300;
+const MAX_TOURNAMENT_NAME_LENGTH = 50;
+const MAX_BET = 1000000000;
+const MAX_COUNTDOWN_SECONDS = 30;
+const MAX_URL_LENGTH = 500;
+const MAX_ROOM_CAPACITY = 100; // 部屋ごとのプレイヤー・観戦者の上限として指定できる最大値
+const MAX_SLOW_MODE_SECONDS = 300;
+
+// ルールごとのスコア上限（通常スコアは1,000万点満点）
+const SCORE_LIMITS = {
+    normal: Number(process.env.MAX_NORMAL_SCORE) || 10000000,
+    ex: Number(process.env.MAX_EX_SCORE) || 100000
+};
+
+const RULES = ['normal', 'ex'];
+const ROLES = ['player', 'spectator'];
+
+// 部屋主が共同ホストに与えられる権限（部屋主は全て持つ）
+// changeRole: メンバーのロール変更, kick: 追放, resetPoints: ポイントリセット, voidSong: 進行中の曲を無効にする,
+// moderateChat: チャットの管理（ミュート・メッセージ削除・低速モード）
+const HOST_PERMISSIONS = ['changeRole', 'kick', 'resetPoints', 'voidSong', 'moderateChat'];
+
+// 制御文字とHTMLとして解釈されうる文字を取り除く
+// 名前は属性値にも埋め込まれるため引用符・&も除く
+function sanitizeName(value) {
+    return value.replace(/[\u0000-\u001f\u007f<>"'`&]/g, '').trim();
+}
+
+function sanitizeMessage(value) {
+    return value.replace(/[\u0000-\u0009\u000b-\u001f\u007f<>]/g, '').trim();
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// 省略可能なフィールド（undefinedのまま通す）
+function optional(validator) {
+    return value => value === undefined ? undefined : validator(value);
+}
+
+// nullを許可する
+function nullable(validator) {
+    return value => value === null ? null : validator(value);
+}
+
+function text(maxLength, sanitize = sanitizeName) {
+    return value => {
+        if (typeof value !== 'string') {
+            return INVALID;
+        }
+        const sanitized = sanitize(value);
+        return sanitized.length > 0 && sanitized.length <= maxLength ? sanitized : INVALID;
+    };
+}
+
+// 加工せず長さのみ確認（値の内容は呼び出し側で確認する）
+function string(maxLength) {
+    return value => typeof value === 'string' && value.length <= maxLength ? value : INVALID;
+}
+
+// パスワードは加工せず長さのみ確認
+function password(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    return typeof value === 'string' && value.length <= MAX_PASSWORD_LENGTH ? value : INVALID;
+}
+
+// ID・トークン
+function id(value) {
+    return typeof value === 'string' && /^[\w-]{1,100}$/.test(value) ? value : INVALID;
+}
+
+function oneOf(values) {
+    return value => values.includes(value) ? value : INVALID;
+}
+
+function integer(min, max) {
+    return value => Number.isInteger(value) && value >= min && value <= max ? value : INVALID;
+}
+
+// 数値、または長さを確認した文字列
+function stringOrNumber(maxLength) {
+    return value => typeof value === 'number' && Number.isFinite(value) ? value : string(maxLength)(value);
+}
+
+function boolean(value) {
+    return typeof value === 'boolean' ? value : INVALID;
+}
+
+function array(validator, maxLength) {
+    return value => {
+        if (!Array.isArray(value) || value.length > maxLength) {
+            return INVALID;
+        }
+        const items = value.map(validator);
+        return items.includes(INVALID) ? INVALID : items;
+    };
+}
+
+// 内容は個別の normalize 関数で検証するオブジェクト
+function object(value) {
+    return value === undefined || value === null || isPlainObject(value) ? value : INVALID;
+}
+
+// データをスキーマで検証する
+// 成功時は { value }（スキーマにないフィールドは除く）、失敗時は { error }
+function validate(schema, data) {
+    if (data === undefined || data === null) {
+        data = {};
+    }
+    if (!isPlainObject(data)) {
+        return { error: 'Invalid request' };
+    }
+
+    const value = {};
+    for (const [field, validator] of Object.entries(schema)) {
+        const result = validator(data[field]);
+        if (result === INVALID) {
+            return { error: `Invalid ${field}` };
+        }
+        if (result !== undefined) {
+            value[field] = result;
+        }
+    }
+    return { value };
+}
+
+const username = text(MAX_USERNAME_LENGTH);
+const roomName = text(MAX_ROOM_NAME_LENGTH);
+const scores = {
+    normalScore: integer(0, SCORE_LIMITS.normal),
+    exScore: integer(0, SCORE_LIMITS.ex),
+    song: object,
+    // 進行度は scoring.js の normalizeProgress で検証する
+    progress: object
+};
+
+// 空欄の扱いなどは server.js の normalizeSongMetadata で検証する
+const songMetadata = {
+    title: optional(string(200)),
+    difficulty: optional(string(30)),
+    level: optional(stringOrNumber(10)),
+    chartId: optional(stringOrNumber(100)),
+    maxExScore: optional(integer(1, SCORE_LIMITS.ex))
+};
+
+// URL・形式は webhooks.js の normalizeWebhookConfig で検証する
+const webhook = {
+    url: string(MAX_URL_LENGTH),
+    events: optional(array(string(30), 10)),
+    format: optional(string(20))
+};
+
+// REST API のリクエストボディ
+const REST_SCHEMAS = {
+    connect: {
+        username,
+        playerToken: optional(nullable(id))
+    },
+    createRoom: {
+        name: roomName,
+        rule: oneOf(RULES),
+        password,
+        scoring: object,
+        tieBreaker: optional(string(20)),
+        teamMode: object,
+        prediction: object,
+        readyCheck: optional(boolean),
+        finishTimeout: object,
+        survival: object,
+        maxPlayers: optional(nullable(integer(1, MAX_ROOM_CAPACITY))),
+        maxSpectators: optional(nullable(integer(1, MAX_ROOM_CAPACITY)))
+    },
+    joinRoom: { password },
+    lockRoom: { locked: boolean },
+    transferOwnership: { userId: id },
+    setCoHost: {
+        userId: id,
+        permissions: array(oneOf(HOST_PERMISSIONS), HOST_PERMISSIONS.length)
+    },
+    score: scores,
+    finish: { song: object },
+    songMetadata,
+    ready: { ready: optional(boolean) },
+    countdown: {
+        seconds: optional(integer(1, MAX_COUNTDOWN_SECONDS)),
+        force: optional(boolean)
+    },
+    adminDelete: { adminPassword: string(100) },
+    createWebhook: webhook,
+    createAdminWebhook: { ...webhook, adminPassword: string(100) },
+    createTournament: {
+        name: text(MAX_TOURNAMENT_NAME_LENGTH),
+        format: optional(string(20)),
+        bestOf: optional(integer(1, 99)),
+        roomId: optional(nullable(id))
+    },
+    addTournamentPlayer: { userId: id },
+    startTournamentMatch: { roomId: id },
+    reportTournamentMatch: { winnerId: id }
+};
+
+// Socket.IO のイベント
+const SOCKET_SCHEMAS = {
+    webConnect: {
+        username: optional(username),
+        token: optional(nullable(id)),
+        playerToken: optional(nullable(id))
+    },
+    createRoom: REST_SCHEMAS.createRoom,
+    joinRoom: { roomId: id, password },
+    setRoomLocked: REST_SCHEMAS.lockRoom,
+    transferOwnership: { targetUserId: id },
+    setCoHost: {
+        targetUserId: id,
+        permissions: REST_SCHEMAS.setCoHost.permissions
+    },
+    changeRole: { role: oneOf(ROLES) },
+    changeMemberRole: { targetUserId: id, role: oneOf(ROLES) },
+    kickMember: { targetUserId: id },
+    assignTeam: { targetUserId: id, team: nullable(string(100)) },
+    setHandicap: { targetUserId: id, handicap: object },
+    setGhost: { ghost: object },
+    setSurvival: { survival: object },
+    revivePlayer: { targetUserId: id },
+    placeBet: { targetUserId: id, amount: integer(1, MAX_BET) },
+    sendMessage: { message: text(MAX_CHAT_LENGTH, sanitizeMessage) },
+    deleteMessage: { messageId: id },
+    muteUser: { targetUserId: id, muted: boolean },
+    setSlowMode: { seconds: integer(0, MAX_SLOW_MODE_SECONDS) },
+    setReady: REST_SCHEMAS.ready,
+    startCountdown: REST_SCHEMAS.countdown,
+    sendTestScore: scores,
+    watchTournament: { tournamentId: id },
+    watchRoom: { roomId: id }
+};
+
+module.exports = {
+    SCORE_LIMITS,
+    HOST_PERMISSIONS,
+    REST_SCHEMAS,
+    SOCKET_SCHEMAS,
+    sanitizeName,
+    sanitizeMessage,
+    validate
+};
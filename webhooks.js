@@ -0,0 +1,235 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { v4: uuidv4 } = require('uuid');
+
+// 部屋のイベントを外部のURLにPOSTで通知する（Webhook）
+// 部屋ごとの登録（部屋主）と全部屋が対象の登録（管理者）がある
+// 本文は登録時に発行するシークレットで署名し、失敗した場合は間隔を延ばしながら再送する
+
+const WEBHOOK_EVENTS = ['songFinished', 'memberJoined', 'memberLeft', 'roomCreated', 'pointsReset'];
+
+// json: イベントの内容をそのまま送る, discord: DiscordのWebhookで表示できる本文({ content })を送る
+const WEBHOOK_FORMATS = ['json', 'discord'];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_DELAY = Number(process.env.WEBHOOK_RETRY_DELAY) || 5000; // 1回目の再送までの時間(ms)。以降は2倍ずつ延ばす
+const REQUEST_TIMEOUT = 10 * 1000;
+const MAX_DELIVERY_LOGS = 20; // 登録ごとに保持する送信履歴の件数
+
+// 内部のネットワークを調べる踏み台にされないよう、プライベート・ループバック・リンクローカルのアドレスには送らない
+// ローカルでの開発・テストでは WEBHOOK_ALLOW_PRIVATE=1 で許可する
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE === '1';
+
+const privateAddresses = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => privateAddresses.addSubnet(address, prefix, 'ipv6'));
+
+// IPアドレスがプライベート・ループバック・リンクローカルなどの場合はtrue
+// IPv4射影アドレス（::ffff:127.0.0.1 など）は BlockList がIPv4の範囲と照合する
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && privateAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// URLのホスト名が内部のアドレスを指す場合はtrue（名前解決が必要なホストは送信時に確認する）
+function isPrivateHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+// 送信時の名前解決で内部のアドレスが返された場合は接続しない
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (!ALLOW_PRIVATE_HOSTS && addresses.some(entry => isPrivateAddress(entry.address))) {
+            return callback(new Error('Private address is not allowed'));
+        }
+        callback(null, address, family);
+    });
+}
+
+// 登録時に受け取った設定を検証・整形する（不正な場合はnull）
+function normalizeWebhookConfig(data) {
+    let url;
+    try {
+        url = new URL(data.url);
+    } catch (error) {
+        return null;
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        return null;
+    }
+    if (!ALLOW_PRIVATE_HOSTS && isPrivateHost(url.hostname)) {
+        return null;
+    }
+
+    const events = data.events === undefined ? WEBHOOK_EVENTS.slice() : data.events;
+    if (!Array.isArray(events) || events.length === 0 || !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+        return null;
+    }
+
+    const format = data.format === undefined ? 'json' : data.format;
+    if (!WEBHOOK_FORMATS.includes(format)) {
+        return null;
+    }
+
+    return { url: url.toString(), events: Array.from(new Set(events)), format };
+}
+
+// 再送までの待ち時間（attempts は送信済みの回数）
+function getRetryDelay(attempts) {
+    return RETRY_BASE_DELAY * Math.pow(2, attempts - 1);
+}
+
+// 署名: sha256=HMAC-SHA256(シークレット, "{タイムスタンプ}.{本文}")
+function signPayload(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+class Webhook {
+    constructor(config, roomId, createdBy) {
+        this.id = uuidv4();
+        this.url = config.url;
+        this.events = config.events;
+        this.format = config.format;
+        this.secret = crypto.randomBytes(24).toString('hex');
+        this.roomId = roomId; // nullの場合は全部屋が対象
+        this.createdBy = createdBy;
+        this.createdAt = new Date();
+        this.deliveries = []; // 送信履歴（新しい順）
+    }
+
+    matches(event, roomId) {
+        return this.events.includes(event) && (this.roomId === null || this.roomId === roomId);
+    }
+
+    // 送信履歴を追加（古いものから削除）
+    addDelivery(event) {
+        const delivery = {
+            id: uuidv4(),
+            event,
+            status: 'pending', // 'pending', 'delivered', 'failed'
+            attempts: [],
+            nextRetryAt: null,
+            createdAt: new Date()
+        };
+        this.deliveries.unshift(delivery);
+        this.deliveries.length = Math.min(this.deliveries.length, MAX_DELIVERY_LOGS);
+        return delivery;
+    }
+
+    // 公開用の情報（シークレットを除く）
+    getInfo() {
+        return {
+            id: this.id,
+            url: this.url,
+            events: this.events,
+            format: this.format,
+            roomId: this.roomId,
+            createdAt: this.createdAt,
+            deliveries: this.deliveries
+        };
+    }
+
+    toStorage() {
+        return {
+            ...this.getInfo(),
+            secret: this.secret,
+            createdBy: this.createdBy
+        };
+    }
+
+    static fromStorage(data) {
+        const webhook = new Webhook(data, data.roomId, data.createdBy);
+        webhook.id = data.id;
+        webhook.secret = data.secret;
+        webhook.createdAt = new Date(data.createdAt);
+        webhook.deliveries = data.deliveries || [];
+        return webhook;
+    }
+}
+
+// DiscordのWebhook向けの表示用テキスト
+function formatDiscordMessage(event, payload) {
+    const room = payload.room ? `[${payload.room.name}] ` : '';
+    const data = payload.data;
+    switch (event) {
+        case 'songFinished': {
+            const title = data.song.metadata && data.song.metadata.title ? data.song.metadata.title : '曲';
+            const lines = data.rankings.map(ranking => `${ranking.rank}. ${ranking.username} ${ranking.dnf ? 'DNF' : ranking.score} (+${ranking.awardedPoints}pt)`);
+            return `${room}${title} の結果\n${lines.join('\n')}`;
+        }
+        case 'memberJoined':
+            return `${room}${data.username} が入室しました`;
+        case 'memberLeft':
+            return `${room}${data.username} が退室しました`;
+        case 'roomCreated':
+            return `部屋「${data.name}」が作成されました`;
+        case 'pointsReset':
+            return `${room}ポイントがリセットされました`;
+        default:
+            return `${room}${event}`;
+    }
+}
+
+// 1回分の送信を行い、結果 { statusCode, error } を返す（2xx以外は失敗）
+function sendWebhook(webhook, delivery, payload) {
+    const body = JSON.stringify(webhook.format === 'discord'
+        ? { content: formatDiscordMessage(delivery.event, payload) }
+        : payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const url = new URL(webhook.url);
+    const client = url.protocol === 'https:' ? https : http;
+
+    // 登録済みのURLも送信のたびに確認する（IPアドレスのホストは名前解決されないため）
+    if (!ALLOW_PRIVATE_HOSTS && isPrivateHost(url.hostname)) {
+        return Promise.resolve({ statusCode: null, error: 'Private address is not allowed' });
+    }
+
+    return new Promise(resolve => {
+        const request = client.request(url, {
+            method: 'POST',
+            timeout: REQUEST_TIMEOUT,
+            lookup: lookupPublicAddress,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(body),
+                'User-Agent': 'otoge-realtime-battle-webhook',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            }
+        }, response => {
+            response.resume();
+            const ok = response.statusCode >= 200 && response.statusCode < 300;
+            resolve({ statusCode: response.statusCode, error: ok ? null : `HTTP ${response.statusCode}` });
+        });
+        request.on('timeout', () => request.destroy(new Error('Request timed out')));
+        request.on('error', error => resolve({ statusCode: null, error: error.message }));
+        request.end(body);
+    });
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_FORMATS,
+    MAX_ATTEMPTS,
+    normalizeWebhookConfig,
+    getRetryDelay,
+    signPayload,
+    isPrivateHost,
+    Webhook,
+    sendWebhook
+};